@@ -0,0 +1,41 @@
+import { searchAirports } from '../../lib/airports.js';
+import {
+  validate,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendDatabaseError,
+  sendInternalError
+} from '../../lib/validation.js';
+import { airportSearchSchema } from '../../lib/schemas.js';
+import { requireApiKey } from '../../lib/auth.js';
+import { withRequestLog } from '../../lib/logger.js';
+
+// Autocompletamento aeroporti: risultati ordinati per pertinenza, tipo e vicinanza (lat/lon opzionali)
+async function handler(req, res) {
+  if (req.method !== 'GET') return sendMethodNotAllowed(req, res, ['GET']);
+
+  try {
+    const apiKey = await requireApiKey(req, res, 'airports');
+    if (!apiKey) return;
+
+    const { value: query, errors } = validate(airportSearchSchema, req.query);
+    if (errors.length > 0) return sendValidationError(req, res, errors);
+
+    const { q, limit, lat, lon } = query;
+    const near = lat !== undefined ? { lat, lon } : null;
+
+    const { data, error } = await searchAirports(q, { limit, near });
+    if (error) return sendDatabaseError(req, res, error);
+
+    return res.status(200).json({
+      query: q,
+      near,
+      results: data
+    });
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
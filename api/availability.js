@@ -0,0 +1,116 @@
+import {
+  getAvailabilityStore,
+  resolveBlockWindow,
+  isActiveBlock,
+  HOLD_KIND
+} from '../lib/availability.js';
+import { loadAllowedJetIds, loadHomebaseTimeZone } from '../lib/fleet.js';
+import {
+  validate,
+  sendError,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendDatabaseError,
+  sendInternalError
+} from '../lib/validation.js';
+import { availabilityListSchema, availabilityCreateSchema, idSchema } from '../lib/schemas.js';
+import { getOperatorStore } from '../lib/operators.js';
+import { requireApiKey, requireCaller, canAccessOperator } from '../lib/auth.js';
+import { withRequestLog } from '../lib/logger.js';
+
+// Jet dell'operatore chiamante; quelli inesistenti o di altri operatori risultano non trovati
+async function findOwnJet(caller, id) {
+  const { data, error } = await getOperatorStore().getJet(id);
+  if (error) return { data: null, error };
+  return { data: data && canAccessOperator(caller, data.operator_id) ? data : null, error: null };
+}
+
+// Calendario di disponibilità dei jet: blocchi per manutenzione o charter già confermati.
+// La lettura è con chiave API (una chiave limitata ad alcuni operatori vede solo i loro jet);
+// creare e togliere blocchi toglie il jet dai preventivi, quindi solo l'operatore del jet
+// o l'amministrazione, con token Bearer come per /api/fleet
+async function handler(req, res) {
+  const store = getAvailabilityStore();
+
+  try {
+    if (req.method === 'GET') {
+      const apiKey = await requireApiKey(req, res, 'availability');
+      if (!apiKey) return;
+
+      const { data: allowedJetIds, error: allowedError } = await loadAllowedJetIds(apiKey);
+      if (allowedError) return sendDatabaseError(req, res, allowedError);
+      const canUseJet = jetId => !allowedJetIds || allowedJetIds.has(String(jetId));
+
+      const { value: query, errors } = validate(availabilityListSchema, req.query);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { jet_id, from, to } = query;
+      const { data, error } = await store.list({
+        jetIds: jet_id ? String(jet_id).split(',') : undefined,
+        from,
+        to
+      });
+      if (error) return sendDatabaseError(req, res, error);
+
+      const now = new Date();
+      return res.status(200).json({
+        blocks: data.filter(block => isActiveBlock(block, now) && canUseJet(block.jet_id))
+      });
+    }
+
+    if (req.method !== 'POST' && req.method !== 'DELETE') return sendMethodNotAllowed(req, res, ['GET', 'POST', 'DELETE']);
+
+    const caller = await requireCaller(req, res);
+    if (!caller) return;
+
+    if (req.method === 'POST') {
+      const { value: body, errors } = validate(availabilityCreateSchema, req.body);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { jet_id, kind, start, end, date, end_date, note } = body;
+      const { data: jet, error: jetError } = await findOwnJet(caller, jet_id);
+      if (jetError) return sendDatabaseError(req, res, jetError);
+      if (!jet) return sendError(req, res, 404, 'JET_NOT_FOUND', { id: jet_id });
+
+      const { data: timeZone, error: timeZoneError } = await loadHomebaseTimeZone(jet_id);
+      if (timeZoneError) return sendDatabaseError(req, res, timeZoneError);
+
+      const window = resolveBlockWindow({ start, end, date, end_date }, { timeZone });
+      if (!window || window.end_at <= window.start_at) {
+        return sendValidationError(req, res, [{ code: 'INVALID_WINDOW', field: start || end ? 'end' : 'date' }]);
+      }
+
+      const { data, error } = await store.create({
+        jet_id,
+        kind,
+        ...window,
+        note: note || null
+      });
+      if (error) return sendDatabaseError(req, res, error);
+
+      return res.status(201).json({ block: data });
+    }
+
+    const { value: { id }, errors } = validate(idSchema, { id: req.query?.id ?? req.body?.id });
+    if (errors.length > 0) return sendValidationError(req, res, errors);
+
+    // Le opzioni si rilasciano da /api/holds, solo con la chiave che le ha messe
+    const { data: block, error: getError } = await store.get(id);
+    if (getError) return sendDatabaseError(req, res, getError);
+    if (!block || block.kind === HOLD_KIND) return sendError(req, res, 404, 'BLOCK_NOT_FOUND', { id });
+
+    const { data: jet, error: jetError } = await findOwnJet(caller, block.jet_id);
+    if (jetError) return sendDatabaseError(req, res, jetError);
+    if (!jet) return sendError(req, res, 404, 'BLOCK_NOT_FOUND', { id });
+
+    const { data, error } = await store.remove(id);
+    if (error) return sendDatabaseError(req, res, error);
+
+    return res.status(200).json({ deleted: data });
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
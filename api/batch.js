@@ -0,0 +1,70 @@
+import { quoteRoute, quoteFlexibleDates, createQuoteContext } from '../lib/quoting.js';
+import { requireApiKey, chargeApiKey } from '../lib/auth.js';
+import {
+  validate,
+  validationErrorBody,
+  sendError,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendInternalError
+} from '../lib/validation.js';
+import { batchSchema, batchItemSchema, batchItemQuotes } from '../lib/schemas.js';
+import { loadExchangeRates, isSupportedCurrency, DEFAULT_CURRENCY } from '../lib/currency.js';
+import { withRequestLog } from '../lib/logger.js';
+
+// Preventivi in blocco per molte tratte/date: aeroporti, flotta, regole e cambi vengono caricati
+// una volta per tutta la richiesta. Ogni elemento ha il suo esito, anche in caso di errore
+async function handler(req, res) {
+  if (req.method !== 'POST') return sendMethodNotAllowed(req, res, ['POST']);
+
+  try {
+    // Le quote si addebitano dopo validazione e controllo della valuta: solo i preventivi che
+    // verranno calcolati davvero (elementi validi, 2N+1 con le date flessibili)
+    const apiKey = await requireApiKey(req, res, 'batch');
+    if (!apiKey) return;
+
+    const { value: body, errors } = validate(batchSchema, req.body);
+    if (errors.length > 0) return sendValidationError(req, res, errors);
+
+    const currency = (body.currency || DEFAULT_CURRENCY).toUpperCase();
+    const rateTable = await loadExchangeRates();
+    if (!isSupportedCurrency(rateTable, currency)) {
+      return sendError(req, res, 400, 'UNSUPPORTED_CURRENCY', { field: 'currency', supported: Object.keys(rateTable.rates) });
+    }
+
+    const checked = body.items.map(rawItem => validate(batchItemSchema, rawItem));
+    const cost = checked.reduce((sum, { value, errors: itemErrors }) => itemErrors.length > 0 ? sum : sum + batchItemQuotes(value), 0);
+    if (!await chargeApiKey(req, res, apiKey, 'batch', cost)) return;
+
+    const context = createQuoteContext({ apiKey });
+
+    const items = [];
+    for (const [index, rawItem] of body.items.entries()) {
+      const { value: item, errors: itemErrors } = checked[index];
+      const ref = { index, id: item?.id ?? null };
+
+      if (itemErrors.length > 0) {
+        items.push({ ...ref, status: 400, error: validationErrorBody(req, itemErrors) });
+        continue;
+      }
+
+      const params = { ...item, currency, rateTable, request: rawItem, persist: body.saveQuotes };
+      const { status, body: result } = item.flexibleDays
+        ? await quoteFlexibleDates(req, params, context)
+        : await quoteRoute(req, params, context);
+
+      items.push(status === 200 ? { ...ref, status, result } : { ...ref, status, error: result });
+    }
+
+    const succeeded = items.filter(i => i.status === 200).length;
+    return res.status(200).json({
+      summary: { total: items.length, succeeded, failed: items.length - succeeded },
+      items
+    });
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
@@ -0,0 +1,60 @@
+import { getCacheStats, invalidateCache, CACHE_TTL } from '../lib/cache.js';
+import { invalidateFleetCache } from '../lib/fleet.js';
+import { authenticate, getBearerToken, hashToken } from '../lib/auth.js';
+import {
+  validate,
+  sendError,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendDatabaseError,
+  sendInternalError
+} from '../lib/validation.js';
+import { cacheInvalidateSchema } from '../lib/schemas.js';
+import { withRequestLog } from '../lib/logger.js';
+
+// Token dedicato all'invalidazione (es. dal webhook Supabase sulla tabella `jet`);
+// senza CACHE_ADMIN_TOKEN configurato vale solo ADMIN_TOKEN
+function isCacheToken(req) {
+  const expected = process.env.CACHE_ADMIN_TOKEN;
+  const token = getBearerToken(req);
+  return Boolean(expected && token && hashToken(token) === hashToken(expected));
+}
+
+// Statistiche della cache (GET) e invalidazione esplicita (DELETE ?namespace=fleet),
+// solo per l'amministrazione
+async function handler(req, res) {
+  try {
+    if (!['GET', 'DELETE'].includes(req.method)) return sendMethodNotAllowed(req, res, ['GET', 'DELETE']);
+
+    if (!isCacheToken(req)) {
+      const caller = await authenticate(req);
+      if (caller.error) return sendDatabaseError(req, res, caller.error);
+      if (caller.operator) return sendError(req, res, 403, 'FORBIDDEN');
+      if (!caller.admin) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return sendError(req, res, 401, 'UNAUTHORIZED');
+      }
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json(getCacheStats());
+    }
+
+    const { value: { namespace }, errors } = validate(cacheInvalidateSchema, { ...req.query, ...req.body });
+    if (errors.length > 0) return sendValidationError(req, res, errors);
+
+    // La flotta porta con sé le coordinate delle homebase
+    const namespaces = namespace ? [namespace] : Object.keys(CACHE_TTL);
+    for (const ns of namespaces) {
+      if (ns === 'fleet') await invalidateFleetCache();
+      else await invalidateCache(ns);
+    }
+
+    return res.status(200).json({ invalidated: namespaces });
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
@@ -0,0 +1,75 @@
+import { getQuoteStore, withEffectiveStatus, isQuoteOwnedBy, presentQuote } from '../lib/quotes.js';
+import { renderQuotePdf, loadBranding } from '../lib/quote-pdf.js';
+import { buildQuoteCalendar } from '../lib/quote-calendar.js';
+import { authenticate, requireApiKey } from '../lib/auth.js';
+import {
+  validate,
+  sendError,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendDatabaseError,
+  sendInternalError
+} from '../lib/validation.js';
+import { quoteExportSchema } from '../lib/schemas.js';
+import { withRequestLog } from '../lib/logger.js';
+
+// Nome del file scaricato: preventivo-<inizio dell'id>-jet-<id del jet>.<formato>
+function fileName(quote, jet, format) {
+  const id = String(quote.id).slice(0, 8);
+  return `preventivo-${id}-jet-${String(jet.jet_id).replace(/[^\w-]/g, '')}.${format}`;
+}
+
+function sendFile(res, body, { contentType, filename }) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).send(body);
+}
+
+// Documenti da mandare al cliente per un jet di un preventivo salvato da /api/calculate:
+// ?quote_id=...&jet_id=...&format=pdf (default) | ics. Sempre nella versione per il client
+// (profilo di prezzo applicato), anche quando li scarica l'amministrazione
+async function handler(req, res) {
+  if (req.method !== 'GET') return sendMethodNotAllowed(req, res, ['GET']);
+
+  try {
+    const caller = await authenticate(req);
+    if (caller.error) return sendDatabaseError(req, res, caller.error);
+
+    const internal = caller.admin;
+    const apiKey = internal ? null : await requireApiKey(req, res, 'export');
+    if (!internal && !apiKey) return;
+
+    const { value: query, errors } = validate(quoteExportSchema, req.query);
+    if (errors.length > 0) return sendValidationError(req, res, errors);
+
+    const { data, error } = await getQuoteStore().get(query.quote_id);
+    if (error) return sendDatabaseError(req, res, error);
+    if (!data || (!internal && !isQuoteOwnedBy(data, apiKey))) {
+      return sendError(req, res, 404, 'QUOTE_NOT_FOUND', { id: query.quote_id });
+    }
+
+    const quote = presentQuote(withEffectiveStatus(data));
+    const jet = quote.jets?.find(j => String(j.jet_id) === String(query.jet_id));
+    if (!jet) return sendError(req, res, 404, 'QUOTE_JET_NOT_FOUND', { jet_id: query.jet_id });
+
+    const branding = loadBranding(data.trip?.pricing_profile);
+
+    if (query.format === 'ics') {
+      const calendar = buildQuoteCalendar(quote, jet, { brandName: branding.name });
+      if (!calendar) return sendError(req, res, 409, 'NO_SCHEDULE', { id: quote.id });
+      return sendFile(res, calendar, { contentType: 'text/calendar; charset=utf-8', filename: fileName(quote, jet, 'ics') });
+    }
+
+    if (jet.total_price === null || jet.total_price === undefined) {
+      return sendError(req, res, 409, 'JET_NOT_PRICED', { jet_id: jet.jet_id, issues: jet.issues || [] });
+    }
+    const pdf = await renderQuotePdf(quote, jet, { branding });
+    return sendFile(res, pdf, { contentType: 'application/pdf', filename: fileName(quote, jet, 'pdf') });
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
@@ -0,0 +1,129 @@
+import { getOperatorStore, pickJetFields } from '../lib/operators.js';
+import { requireCaller, canAccessOperator } from '../lib/auth.js';
+import { loadAirportsByIdent } from '../lib/airports.js';
+import { invalidateFleetCache } from '../lib/fleet.js';
+import {
+  validate,
+  sendError,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendDatabaseError,
+  sendInternalError
+} from '../lib/validation.js';
+import { idSchema, fleetListSchema, jetCreateSchema, jetUpdateSchema } from '../lib/schemas.js';
+import { withRequestLog } from '../lib/logger.js';
+
+// La homebase deve esistere in `Airport 2`: senza coordinate il jet non verrebbe mai proposto
+async function checkHomebase(homebase) {
+  const { data, error } = await loadAirportsByIdent([homebase]);
+  if (error) return { errors: [], error };
+  return { errors: data.length > 0 ? [] : [{ code: 'AIRPORT_NOT_FOUND', field: 'homebase', value: homebase }], error: null };
+}
+
+// Jet dell'operatore chiamante; i jet di altri operatori risultano inesistenti
+async function findOwnJet(store, caller, id) {
+  const { data, error } = await store.getJet(id);
+  if (error) return { data: null, error };
+  return { data: data && canAccessOperator(caller, data.operator_id) ? data : null, error: null };
+}
+
+// Gestione della flotta: ogni operatore vede e modifica solo i propri jet,
+// l'amministrazione indica operator_id
+async function handler(req, res) {
+  const store = getOperatorStore();
+
+  try {
+    const caller = await requireCaller(req, res);
+    if (!caller) return;
+
+    if (req.method === 'GET') {
+      const { value: query, errors } = validate(fleetListSchema, req.query);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      if (query.id !== undefined) {
+        const { data, error } = await findOwnJet(store, caller, query.id);
+        if (error) return sendDatabaseError(req, res, error);
+        if (!data) return sendError(req, res, 404, 'JET_NOT_FOUND', { id: query.id });
+        return res.status(200).json({ jet: data });
+      }
+
+      const operatorId = caller.admin ? query.operator_id : caller.operator.id;
+      const { data, error } = await store.listJets({ operatorId });
+      if (error) return sendDatabaseError(req, res, error);
+
+      return res.status(200).json({ jets: data });
+    }
+
+    if (req.method === 'POST') {
+      const { value: body, errors } = validate(jetCreateSchema, req.body);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      let operator = caller.operator;
+      if (caller.admin) {
+        if (body.operator_id === undefined) return sendValidationError(req, res, [{ code: 'REQUIRED', field: 'operator_id' }]);
+
+        const { data, error } = await store.get(body.operator_id);
+        if (error) return sendDatabaseError(req, res, error);
+        if (!data) return sendError(req, res, 404, 'OPERATOR_NOT_FOUND', { id: body.operator_id });
+        operator = data;
+      } else if (body.operator_id !== undefined && !canAccessOperator(caller, body.operator_id)) {
+        return sendError(req, res, 403, 'FORBIDDEN');
+      }
+
+      const jet = pickJetFields(body);
+      const { errors: homebaseErrors, error: homebaseError } = await checkHomebase(jet.homebase);
+      if (homebaseError) return sendDatabaseError(req, res, homebaseError);
+      if (homebaseErrors.length > 0) return sendValidationError(req, res, homebaseErrors);
+
+      const { data, error } = await store.createJet({ ...jet, operator: operator.name, operator_id: operator.id });
+      if (error) return sendDatabaseError(req, res, error);
+
+      await invalidateFleetCache();
+      return res.status(201).json({ jet: data });
+    }
+
+    if (req.method === 'PATCH') {
+      const { value: body, errors } = validate(jetUpdateSchema, req.body);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { data: existing, error: getError } = await findOwnJet(store, caller, body.id);
+      if (getError) return sendDatabaseError(req, res, getError);
+      if (!existing) return sendError(req, res, 404, 'JET_NOT_FOUND', { id: body.id });
+
+      const changes = pickJetFields(body);
+      if (changes.homebase !== undefined) {
+        const { errors: homebaseErrors, error: homebaseError } = await checkHomebase(changes.homebase);
+        if (homebaseError) return sendDatabaseError(req, res, homebaseError);
+        if (homebaseErrors.length > 0) return sendValidationError(req, res, homebaseErrors);
+      }
+
+      const { data, error } = await store.updateJet(body.id, changes);
+      if (error) return sendDatabaseError(req, res, error);
+
+      await invalidateFleetCache();
+      return res.status(200).json({ jet: data });
+    }
+
+    if (req.method === 'DELETE') {
+      const { value: { id }, errors } = validate(idSchema, { id: req.query?.id ?? req.body?.id });
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { data: existing, error: getError } = await findOwnJet(store, caller, id);
+      if (getError) return sendDatabaseError(req, res, getError);
+      if (!existing) return sendError(req, res, 404, 'JET_NOT_FOUND', { id });
+
+      const { data, error } = await store.removeJet(id);
+      if (error) return sendDatabaseError(req, res, error);
+
+      await invalidateFleetCache();
+      return res.status(200).json({ deleted: data });
+    }
+
+    return sendMethodNotAllowed(req, res, ['GET', 'POST', 'PATCH', 'DELETE']);
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
@@ -0,0 +1,46 @@
+import { checkReadiness, getBuildInfo } from '../lib/health.js';
+import {
+  validate,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendInternalError
+} from '../lib/validation.js';
+import { withRequestLog } from '../lib/logger.js';
+import { getBearerToken, isAdminToken } from '../lib/tokens.js';
+
+// Schema qui e non in lib/schemas.js: quel modulo carica Supabase, che senza configurazione
+// fallisce all'import e renderebbe impossibile segnalare proprio quel problema
+const healthSchema = {
+  type: 'object',
+  properties: {
+    check: { type: 'string', enum: ['live', 'ready'], default: 'ready' }
+  }
+};
+
+// Salute del servizio per i monitor, senza chiave API (col token di amministrazione anche
+// quali variabili d'ambiente sono configurate).
+// ?check=live: il processo risponde (sempre 200); ?check=ready (default): configurazione,
+// database e dati della flotta, 503 se i preventivi non possono funzionare
+async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return sendMethodNotAllowed(req, res, ['GET', 'HEAD']);
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const { value: { check }, errors } = validate(healthSchema, req.query);
+    if (errors.length > 0) return sendValidationError(req, res, errors);
+
+    const timestamp = new Date().toISOString();
+    if (check === 'live') {
+      return res.status(200).json({ status: 'ok', check, timestamp, build: getBuildInfo() });
+    }
+
+    const { status, checks } = await checkReadiness({ detailed: isAdminToken(getBearerToken(req)) });
+    return res.status(status === 'fail' ? 503 : 200).json({ status, check, timestamp, build: getBuildInfo(), checks });
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
@@ -0,0 +1,109 @@
+import {
+  getAvailabilityStore,
+  resolveBlockWindow,
+  isActiveBlock,
+  findConflicts,
+  availabilityIssue,
+  isHoldOwnedBy,
+  HOLD_KIND,
+  DEFAULT_HOLD_MINUTES
+} from '../lib/availability.js';
+import { loadAllowedJetIds, loadHomebaseTimeZone } from '../lib/fleet.js';
+import {
+  validate,
+  sendError,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendDatabaseError,
+  sendInternalError
+} from '../lib/validation.js';
+import { holdCreateSchema, idSchema } from '../lib/schemas.js';
+import { requireApiKey } from '../lib/auth.js';
+import { withRequestLog } from '../lib/logger.js';
+
+// Opzioni temporanee su un jet: bloccano la disponibilità fino alla scadenza.
+// Ogni opzione appartiene alla chiave API che l'ha messa: le altre non la vedono né la rilasciano
+async function handler(req, res) {
+  const store = getAvailabilityStore();
+
+  try {
+    const apiKey = await requireApiKey(req, res, 'holds');
+    if (!apiKey) return;
+
+    if (req.method === 'GET') {
+      const { value: { id }, errors } = validate(idSchema, { id: req.query?.id });
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { data, error } = await store.get(id);
+      if (error) return sendDatabaseError(req, res, error);
+      if (!data || !isHoldOwnedBy(data, apiKey)) return sendError(req, res, 404, 'HOLD_NOT_FOUND', { id });
+
+      return res.status(200).json({ hold: { ...data, expired: !isActiveBlock(data) } });
+    }
+
+    if (req.method === 'POST') {
+      const { value: body, errors } = validate(holdCreateSchema, req.body);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { jet_id, start, end, date, end_date, expires_in_minutes: minutes = DEFAULT_HOLD_MINUTES, reference } = body;
+
+      const { data: allowedJetIds, error: allowedError } = await loadAllowedJetIds(apiKey);
+      if (allowedError) return sendDatabaseError(req, res, allowedError);
+      if (allowedJetIds && !allowedJetIds.has(String(jet_id))) return sendError(req, res, 404, 'JET_NOT_FOUND', { id: jet_id });
+
+      const { data: timeZone, error: timeZoneError } = await loadHomebaseTimeZone(jet_id);
+      if (timeZoneError) return sendDatabaseError(req, res, timeZoneError);
+
+      const window = resolveBlockWindow({ start, end, date, end_date }, { timeZone });
+      if (!window || window.end_at <= window.start_at) {
+        return sendValidationError(req, res, [{ code: 'INVALID_WINDOW', field: start || end ? 'end' : 'date' }]);
+      }
+
+      // Non si può mettere un'opzione su un jet già impegnato
+      const { data: existing, error: listError } = await store.list({
+        jetIds: [String(jet_id)],
+        from: window.start_at,
+        to: window.end_at
+      });
+      if (listError) return sendDatabaseError(req, res, listError);
+
+      const conflicts = findConflicts(existing, jet_id, [{ start: window.start_at, end: window.end_at }]);
+      if (conflicts.length > 0) {
+        return sendError(req, res, 409, 'HOLD_CONFLICT', { issue: availabilityIssue(conflicts) });
+      }
+
+      const { data, error } = await store.create({
+        jet_id,
+        kind: HOLD_KIND,
+        ...window,
+        expires_at: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+        note: reference || null,
+        api_key_id: apiKey.id
+      });
+      if (error) return sendDatabaseError(req, res, error);
+
+      return res.status(201).json({ hold: data });
+    }
+
+    if (req.method === 'DELETE') {
+      const { value: { id }, errors } = validate(idSchema, { id: req.query?.id ?? req.body?.id });
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { data: hold, error: getError } = await store.get(id);
+      if (getError) return sendDatabaseError(req, res, getError);
+      if (!hold || !isHoldOwnedBy(hold, apiKey)) return sendError(req, res, 404, 'HOLD_NOT_FOUND', { id });
+
+      const { data, error } = await store.remove(id);
+      if (error) return sendDatabaseError(req, res, error);
+
+      return res.status(200).json({ released: data });
+    }
+
+    return sendMethodNotAllowed(req, res, ['GET', 'POST', 'DELETE']);
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
@@ -0,0 +1,128 @@
+import {
+  getApiKeyStore,
+  publicApiKey,
+  invalidateApiKeyCache,
+  API_KEY_PREFIX
+} from '../lib/api-keys.js';
+import { loadPricingProfiles } from '../lib/profiles.js';
+import { requireCaller, generateToken, hashToken } from '../lib/auth.js';
+import {
+  validate,
+  sendError,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendDatabaseError,
+  sendInternalError
+} from '../lib/validation.js';
+import { idSchema, apiKeyCreateSchema, apiKeyUpdateSchema } from '../lib/schemas.js';
+import { withRequestLog } from '../lib/logger.js';
+
+// Campi che si possono togliere passando null: limite al minuto di default, nessuna quota o restrizione
+const NULLABLE_FIELDS = ['client', 'rate_limit_per_minute', 'daily_quota', 'monthly_quota', 'allowed_operator_ids', 'pricing_profile'];
+const KEY_FIELDS = ['name', ...NULLABLE_FIELDS];
+
+// Il profilo di prezzo indicato deve esistere (file o tabella `pricing_profiles`)
+async function checkPricingProfile(profileId) {
+  if (profileId === undefined || profileId === null) return [];
+  const profiles = await loadPricingProfiles();
+  return profiles[profileId] ? [] : [{ code: 'PRICING_PROFILE_NOT_FOUND', field: 'pricing_profile', value: profileId }];
+}
+
+function pickKeyFields(body) {
+  const fields = {};
+  for (const field of KEY_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+// Gestione delle chiavi API dei client, solo con ADMIN_TOKEN
+async function handler(req, res) {
+  const store = getApiKeyStore();
+
+  try {
+    const caller = await requireCaller(req, res);
+    if (!caller) return;
+    if (!caller.admin) return sendError(req, res, 403, 'FORBIDDEN');
+
+    if (req.method === 'GET') {
+      if (req.query?.id === undefined) {
+        const { data, error } = await store.list();
+        if (error) return sendDatabaseError(req, res, error);
+        return res.status(200).json({ keys: data.map(publicApiKey) });
+      }
+
+      const { value: { id }, errors } = validate(idSchema, { id: req.query.id });
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { data, error } = await store.get(id);
+      if (error) return sendDatabaseError(req, res, error);
+      if (!data) return sendError(req, res, 404, 'API_KEY_NOT_FOUND', { id });
+
+      return res.status(200).json({ key: publicApiKey(data) });
+    }
+
+    if (req.method === 'POST') {
+      const { value: body, errors } = validate(apiKeyCreateSchema, req.body);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const profileErrors = await checkPricingProfile(body.pricing_profile);
+      if (profileErrors.length > 0) return sendValidationError(req, res, profileErrors);
+
+      // La chiave si vede solo in questa risposta: in tabella resta l'hash
+      const key = generateToken(API_KEY_PREFIX);
+      const { data, error } = await store.create({
+        ...pickKeyFields(body),
+        name: body.name.trim(),
+        active: true,
+        key_hash: hashToken(key)
+      });
+      if (error) return sendDatabaseError(req, res, error);
+
+      return res.status(201).json({ key: publicApiKey(data), api_key: key });
+    }
+
+    if (req.method === 'PATCH') {
+      const { value: body, errors } = validate(apiKeyUpdateSchema, req.body);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const profileErrors = await checkPricingProfile(body.pricing_profile);
+      if (profileErrors.length > 0) return sendValidationError(req, res, profileErrors);
+
+      const changes = pickKeyFields(body);
+      for (const field of NULLABLE_FIELDS) {
+        if (req.body[field] === null) changes[field] = null;
+      }
+      if (body.active !== undefined) changes.active = body.active;
+
+      const key = body.rotate_key ? generateToken(API_KEY_PREFIX) : null;
+      if (key) changes.key_hash = hashToken(key);
+
+      const { data, error } = await store.update(body.id, changes);
+      if (error) return sendDatabaseError(req, res, error);
+      if (!data) return sendError(req, res, 404, 'API_KEY_NOT_FOUND', { id: body.id });
+
+      await invalidateApiKeyCache();
+      return res.status(200).json({ key: publicApiKey(data), ...(key ? { api_key: key } : {}) });
+    }
+
+    if (req.method === 'DELETE') {
+      const { value: { id }, errors } = validate(idSchema, { id: req.query?.id ?? req.body?.id });
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { data, error } = await store.remove(id);
+      if (error) return sendDatabaseError(req, res, error);
+      if (!data) return sendError(req, res, 404, 'API_KEY_NOT_FOUND', { id });
+
+      await invalidateApiKeyCache();
+      return res.status(200).json({ deleted: publicApiKey(data) });
+    }
+
+    return sendMethodNotAllowed(req, res, ['GET', 'POST', 'PATCH', 'DELETE']);
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
@@ -0,0 +1,130 @@
+import { getOperatorStore, publicOperator } from '../lib/operators.js';
+import { requireCaller, canAccessOperator, generateToken, hashToken } from '../lib/auth.js';
+import { invalidateFleetCache } from '../lib/fleet.js';
+import {
+  validate,
+  sendError,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendDatabaseError,
+  sendInternalError
+} from '../lib/validation.js';
+import { idSchema, operatorCreateSchema, operatorUpdateSchema } from '../lib/schemas.js';
+import { withRequestLog } from '../lib/logger.js';
+
+const TOKEN_PREFIX = 'op';
+
+// Anagrafica operatori: creazione ed eliminazione solo con ADMIN_TOKEN,
+// lettura e modifica anche per l'operatore stesso (con il suo token)
+async function handler(req, res) {
+  const store = getOperatorStore();
+
+  try {
+    const caller = await requireCaller(req, res);
+    if (!caller) return;
+
+    if (req.method === 'GET') {
+      // Senza id: tutti gli operatori per l'amministrazione, se stesso per l'operatore
+      if (req.query?.id === undefined) {
+        if (!caller.admin) return res.status(200).json({ operators: [publicOperator(caller.operator)] });
+
+        const { data, error } = await store.list();
+        if (error) return sendDatabaseError(req, res, error);
+        return res.status(200).json({ operators: data.map(publicOperator) });
+      }
+
+      const { value: { id }, errors } = validate(idSchema, { id: req.query.id });
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+      if (!canAccessOperator(caller, id)) return sendError(req, res, 404, 'OPERATOR_NOT_FOUND', { id });
+
+      const { data, error } = await store.get(id);
+      if (error) return sendDatabaseError(req, res, error);
+      if (!data) return sendError(req, res, 404, 'OPERATOR_NOT_FOUND', { id });
+
+      return res.status(200).json({ operator: publicOperator(data) });
+    }
+
+    if (req.method === 'POST') {
+      if (!caller.admin) return sendError(req, res, 403, 'FORBIDDEN');
+
+      const { value: body, errors } = validate(operatorCreateSchema, req.body);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      // Il token si vede solo in questa risposta: in tabella resta l'hash
+      const token = generateToken(TOKEN_PREFIX);
+      const { data, error } = await store.create({
+        name: body.name.trim(),
+        contact_email: body.contact_email || null,
+        logo_url: body.logo_url || null,
+        active: true,
+        token_hash: hashToken(token)
+      });
+      if (error) return sendDatabaseError(req, res, error);
+
+      return res.status(201).json({ operator: publicOperator(data), token });
+    }
+
+    if (req.method === 'PATCH') {
+      const { value: body, errors } = validate(operatorUpdateSchema, req.body);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { id, name, contact_email, logo_url, active, rotate_token } = body;
+      if (!canAccessOperator(caller, id)) return sendError(req, res, 404, 'OPERATOR_NOT_FOUND', { id });
+      if (active !== undefined && !caller.admin) return sendError(req, res, 403, 'FORBIDDEN');
+
+      const { data: operator, error: getError } = await store.get(id);
+      if (getError) return sendDatabaseError(req, res, getError);
+      if (!operator) return sendError(req, res, 404, 'OPERATOR_NOT_FOUND', { id });
+
+      const changes = {};
+      if (name !== undefined) changes.name = name.trim();
+      if (contact_email !== undefined) changes.contact_email = contact_email;
+      if (logo_url !== undefined) changes.logo_url = logo_url;
+      if (active !== undefined) changes.active = active;
+
+      const token = rotate_token ? generateToken(TOKEN_PREFIX) : null;
+      if (token) changes.token_hash = hashToken(token);
+
+      const { data, error } = await store.update(id, changes);
+      if (error) return sendDatabaseError(req, res, error);
+
+      // Il nome dell'operatore è ripetuto sui jet (colonna `operator`)
+      if (changes.name !== undefined && changes.name !== operator.name) {
+        const { data: jets, error: listError } = await store.listJets({ operatorId: id });
+        if (listError) return sendDatabaseError(req, res, listError);
+        for (const jet of jets) {
+          const { error: jetError } = await store.updateJet(jet.id, { operator: changes.name });
+          if (jetError) return sendDatabaseError(req, res, jetError);
+        }
+        await invalidateFleetCache();
+      }
+
+      return res.status(200).json({ operator: publicOperator(data), ...(token ? { token } : {}) });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!caller.admin) return sendError(req, res, 403, 'FORBIDDEN');
+
+      const { value: { id }, errors } = validate(idSchema, { id: req.query?.id ?? req.body?.id });
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      // Prima vanno tolti (o spostati) i jet dell'operatore
+      const { data: jets, error: listError } = await store.listJets({ operatorId: id });
+      if (listError) return sendDatabaseError(req, res, listError);
+      if (jets.length > 0) return sendError(req, res, 409, 'OPERATOR_HAS_JETS', { id, jets: jets.length });
+
+      const { data, error } = await store.remove(id);
+      if (error) return sendDatabaseError(req, res, error);
+      if (!data) return sendError(req, res, 404, 'OPERATOR_NOT_FOUND', { id });
+
+      return res.status(200).json({ deleted: publicOperator(data) });
+    }
+
+    return sendMethodNotAllowed(req, res, ['GET', 'POST', 'PATCH', 'DELETE']);
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
@@ -1,3 +1,12 @@
-export default function handler(req, res) {
+import { requireApiKey } from '../lib/auth.js';
+import { withRequestLog } from '../lib/logger.js';
+
+// Verifica della chiave API: risponde solo ai client autenticati
+async function handler(req, res) {
+  const apiKey = await requireApiKey(req, res, 'ping');
+  if (!apiKey) return;
+
   res.status(200).json({ message: 'pong ✅' });
 }
+
+export default withRequestLog(handler);
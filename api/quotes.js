@@ -0,0 +1,132 @@
+import {
+  getQuoteStore,
+  effectiveStatus,
+  withEffectiveStatus,
+  isQuoteOwnedBy,
+  presentQuote,
+  repriceQuoteJet
+} from '../lib/quotes.js';
+import { exposeJet } from '../lib/profiles.js';
+import { authenticate, requireApiKey } from '../lib/auth.js';
+import {
+  validate,
+  sendError,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendDatabaseError,
+  sendInternalError
+} from '../lib/validation.js';
+import { idSchema, quoteListSchema, quoteUpdateSchema } from '../lib/schemas.js';
+import { withRequestLog } from '../lib/logger.js';
+
+// Preventivi salvati da /api/calculate: consultazione, elenco, accettazione e scadenza.
+// I client con la loro chiave API vedono solo i propri, filtrati dal profilo di prezzo;
+// l'amministrazione (ADMIN_TOKEN) li vede tutti, con netto e lordo di ogni jet
+async function handler(req, res) {
+  const store = getQuoteStore();
+
+  try {
+    const caller = await authenticate(req);
+    if (caller.error) return sendDatabaseError(req, res, caller.error);
+
+    const internal = caller.admin;
+    const apiKey = internal ? null : await requireApiKey(req, res, 'quotes');
+    if (!internal && !apiKey) return;
+
+    const canSee = (quote) => internal || isQuoteOwnedBy(quote, apiKey);
+    const present = (quote) => (internal ? quote : presentQuote(quote));
+
+    if (req.method === 'GET') {
+      // Singolo preventivo con ?id, altrimenti i più recenti
+      if (req.query?.id !== undefined) {
+        const { value: { id }, errors } = validate(idSchema, { id: req.query.id });
+        if (errors.length > 0) return sendValidationError(req, res, errors);
+
+        const { data, error } = await store.get(id);
+        if (error) return sendDatabaseError(req, res, error);
+        if (!data || !canSee(data)) return sendError(req, res, 404, 'QUOTE_NOT_FOUND', { id });
+
+        return res.status(200).json({ quote: present(withEffectiveStatus(data)) });
+      }
+
+      const { value: query, errors } = validate(quoteListSchema, req.query);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      // I preventivi aperti ma oltre la validità risultano scaduti
+      const now = new Date();
+      const { data, error } = await store.list({
+        status: query.status,
+        apiKeyId: apiKey?.id,
+        limit: query.limit,
+        now
+      });
+      if (error) return sendDatabaseError(req, res, error);
+
+      const quotes = data
+        .map(quote => withEffectiveStatus(quote, now))
+        .map(({ id, status, created_at, valid_until, input, accepted_jet_id, accepted_price }) => ({
+          id, status, created_at, valid_until, input, accepted_jet_id, accepted_price
+        }));
+
+      return res.status(200).json({ quotes });
+    }
+
+    if (req.method === 'PATCH') {
+      const { value: body, errors } = validate(quoteUpdateSchema, req.body);
+      if (errors.length > 0) return sendValidationError(req, res, errors);
+
+      const { data: quote, error: getError } = await store.get(body.id);
+      if (getError) return sendDatabaseError(req, res, getError);
+      if (!quote || !canSee(quote)) return sendError(req, res, 404, 'QUOTE_NOT_FOUND', { id: body.id });
+
+      const now = new Date();
+      const status = effectiveStatus(quote, now);
+
+      if (body.status === 'expired') {
+        if (quote.status !== 'open') return sendError(req, res, 409, 'QUOTE_NOT_OPEN', { status: quote.status });
+        const { data, error } = await store.update(quote.id, { status: 'expired', expired_at: now.toISOString() });
+        if (error) return sendDatabaseError(req, res, error);
+        return res.status(200).json({ quote: present(data) });
+      }
+
+      // Accettazione: preventivo ancora valido, jet presente e prezzo ancora uguale
+      if (status === 'expired') return sendError(req, res, 409, 'QUOTE_EXPIRED', { valid_until: quote.valid_until });
+      if (status !== 'open') return sendError(req, res, 409, 'QUOTE_NOT_OPEN', { status });
+
+      const quoted = quote.jets.find(j => String(j.jet_id) === String(body.jet_id));
+      if (!quoted) return sendError(req, res, 404, 'QUOTE_JET_NOT_FOUND', { jet_id: body.jet_id });
+
+      const { data: current, error: repriceError } = await repriceQuoteJet(quote, body.jet_id);
+      if (repriceError) return sendDatabaseError(req, res, repriceError);
+
+      if (!current || !current.suitable) {
+        return sendError(req, res, 409, 'JET_UNSUITABLE', { jet_id: body.jet_id, issues: current?.issues || [] });
+      }
+      if (current.total_price !== quoted.total_price) {
+        return sendError(req, res, 409, 'PRICE_CHANGED', {
+          jet_id: body.jet_id,
+          quoted_price: quoted.total_price,
+          current_price: current.total_price,
+          price_breakdown: internal ? current.price_breakdown : exposeJet(current, quote.trip?.pricing_profile).price_breakdown
+        });
+      }
+
+      const { data, error } = await store.update(quote.id, {
+        status: 'accepted',
+        accepted_at: now.toISOString(),
+        accepted_jet_id: quoted.jet_id,
+        accepted_price: quoted.total_price
+      });
+      if (error) return sendDatabaseError(req, res, error);
+
+      return res.status(200).json({ quote: present(data) });
+    }
+
+    return sendMethodNotAllowed(req, res, ['GET', 'PATCH']);
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
@@ -0,0 +1,62 @@
+import { getApiKeyStore } from '../lib/api-keys.js';
+import { getApiKeyUsage } from '../lib/rate-limit.js';
+import { authenticate, authenticateApiKey } from '../lib/auth.js';
+import {
+  validate,
+  sendError,
+  sendValidationError,
+  sendMethodNotAllowed,
+  sendDatabaseError,
+  sendInternalError
+} from '../lib/validation.js';
+import { usageSchema } from '../lib/schemas.js';
+import { withRequestLog } from '../lib/logger.js';
+
+// Utilizzo per chiave, giorno ed endpoint: l'amministrazione indica key_id,
+// un client con la sua X-API-Key vede il proprio (la consultazione non consuma i limiti).
+// Senza date: dal primo del mese corrente a oggi (UTC)
+async function handler(req, res) {
+  if (req.method !== 'GET') return sendMethodNotAllowed(req, res, ['GET']);
+
+  try {
+    const { value: query, errors } = validate(usageSchema, req.query);
+    if (errors.length > 0) return sendValidationError(req, res, errors);
+
+    const caller = await authenticate(req);
+    if (caller.error) return sendDatabaseError(req, res, caller.error);
+
+    let apiKey;
+    if (caller.admin) {
+      if (query.key_id === undefined) return sendValidationError(req, res, [{ code: 'REQUIRED', field: 'key_id' }]);
+
+      const { data, error } = await getApiKeyStore().get(query.key_id);
+      if (error) return sendDatabaseError(req, res, error);
+      if (!data) return sendError(req, res, 404, 'API_KEY_NOT_FOUND', { id: query.key_id });
+      apiKey = data;
+    } else {
+      const { data, error } = await authenticateApiKey(req);
+      if (error) return sendDatabaseError(req, res, error);
+      if (!data) {
+        res.setHeader('WWW-Authenticate', 'ApiKey header="X-API-Key"');
+        return sendError(req, res, 401, 'UNAUTHORIZED');
+      }
+      if (query.key_id !== undefined && String(query.key_id) !== String(data.id)) {
+        return sendError(req, res, 404, 'API_KEY_NOT_FOUND', { id: query.key_id });
+      }
+      apiKey = data;
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const to = query.to || today;
+    const from = query.from || `${to.slice(0, 7)}-01`;
+    const rangeErrors = usageSchema.check({ from, to });
+    if (rangeErrors.length > 0) return sendValidationError(req, res, rangeErrors);
+
+    return res.status(200).json(await getApiKeyUsage(apiKey, { from, to }));
+
+  } catch (error) {
+    return sendInternalError(req, res, error);
+  }
+}
+
+export default withRequestLog(handler);
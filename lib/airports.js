@@ -0,0 +1,353 @@
+import { supabase } from './supabase.js';
+import { getDistanceKm } from './flight.js';
+import { cached, getCached, setCached } from './cache.js';
+import { log } from './logger.js';
+
+// Risoluzione fuzzy degli aeroporti con punteggio e candidati per la disambiguazione
+
+export const AIRPORT_TABLE = 'Airport 2';
+
+// Tipi proponibili e peso nel punteggio
+const TYPE_WEIGHTS = {
+  large_airport: 1,
+  medium_airport: 0.85,
+  small_airport: 0.55
+};
+export const SEARCHABLE_TYPES = Object.keys(TYPE_WEIGHTS);
+
+const TEXT_FIELDS = ['municipality', 'name', 'search_name', 'keywords'];
+
+// Pesi del punteggio finale
+const TEXT_WEIGHT = 0.65;
+const TYPE_WEIGHT = 0.25;
+const PROXIMITY_WEIGHT = 0.1;
+const PROXIMITY_MAX_KM = 2000;
+
+// Sotto questa similarità testuale il candidato viene scartato
+const MIN_TEXT_SIMILARITY = 0.6;
+// Candidati entro questo margine dal migliore sono considerati a pari merito
+const AMBIGUITY_MARGIN = 0.05;
+// Candidati a pari merito entro questo raggio servono la stessa area: si sceglie il migliore
+const SAME_AREA_RADIUS_KM = 80;
+
+const CANDIDATE_LIMIT = 200;
+
+// Aeroporti alternativi adatti all'aviazione d'affari e raggio di default
+export const ALTERNATE_AIRPORT_TYPES = ['large_airport', 'medium_airport'];
+export const DEFAULT_ALTERNATE_RADIUS_KM = 60;
+const MAX_ALTERNATES = 3;
+const KM_PER_DEG_LAT = 111;
+
+// Rimuove accenti e normalizza minuscolo
+export function normalizeInput(str) {
+  return String(str)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+// Solo caratteri sicuri per i filtri PostgREST (niente virgole, parentesi, jolly)
+function sanitizeQuery(str) {
+  return normalizeInput(str).replace(/[^a-z0-9' -]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function ratio(a, b) {
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// Similarità 0..1 tra la ricerca e un campo di testo
+export function textSimilarity(query, value) {
+  if (!value) return 0;
+  const field = sanitizeQuery(value);
+  if (!field) return 0;
+  if (field === query) return 1;
+
+  const words = field.split(' ');
+  const queryWords = query.split(' ').length;
+
+  // Confronto con finestre di parole della stessa lunghezza della ricerca ("san jose" in "san jose international")
+  let best = 0;
+  for (let i = 0; i + queryWords <= words.length; i++) {
+    const window = words.slice(i, i + queryWords).join(' ');
+    best = Math.max(best, window === query ? 0.95 : ratio(query, window) * 0.9);
+  }
+  if (field.startsWith(query)) best = Math.max(best, 0.9);
+  else if (field.includes(query)) best = Math.max(best, 0.8);
+
+  return Math.max(best, ratio(query, field) * 0.85);
+}
+
+export function toAirport(row) {
+  return {
+    ident: row.ident?.trim().toUpperCase(),
+    iata_code: row.iata_code?.trim().toUpperCase() || null,
+    name: row.name,
+    municipality: row.municipality || null,
+    iso_country: row.iso_country || null,
+    type: row.type || null,
+    lat: parseFloat(row.latitude),
+    lon: parseFloat(row.longitude)
+  };
+}
+
+// Punteggio di un aeroporto per la ricerca (null se non pertinente)
+export function scoreAirport(query, row, { near = null } = {}) {
+  const airport = toAirport(row);
+  const code = query.toUpperCase().replace(/\s/g, '');
+  let match;
+  let text;
+
+  if (airport.ident === code) {
+    match = 'icao';
+    text = 1;
+  } else if (airport.iata_code && airport.iata_code === code) {
+    match = 'iata';
+    text = 1;
+  } else {
+    const fieldScores = TEXT_FIELDS.flatMap((field) => {
+      if (field === 'keywords') {
+        return String(row.keywords || '').split(',').map(alias => ({ field: 'alias', score: textSimilarity(query, alias) }));
+      }
+      return [{ field, score: textSimilarity(query, row[field]) }];
+    });
+    const best = fieldScores.reduce((a, b) => (b.score > a.score ? b : a), { field: null, score: 0 });
+    match = best.field;
+    text = best.score;
+  }
+
+  if (text < MIN_TEXT_SIMILARITY) return null;
+
+  const typeScore = TYPE_WEIGHTS[airport.type] ?? 0.3;
+  let proximity = 0;
+  let distanceKm = null;
+  if (near && Number.isFinite(airport.lat) && Number.isFinite(airport.lon)) {
+    distanceKm = getDistanceKm(near.lat, near.lon, airport.lat, airport.lon);
+    proximity = 1 - Math.min(distanceKm, PROXIMITY_MAX_KM) / PROXIMITY_MAX_KM;
+  }
+
+  const score = near
+    ? text * TEXT_WEIGHT + typeScore * TYPE_WEIGHT + proximity * PROXIMITY_WEIGHT
+    : text * (TEXT_WEIGHT + PROXIMITY_WEIGHT) + typeScore * TYPE_WEIGHT;
+
+  return {
+    ...airport,
+    score: Number(score.toFixed(3)),
+    match,
+    text_similarity: Number(text.toFixed(3)),
+    distance_km: distanceKm !== null ? Math.round(distanceKm) : undefined
+  };
+}
+
+// Filtri dei candidati per livello, dal più preciso: codici e nomi esatti, testo contenuto,
+// prefisso di ogni parola (per i refusi)
+function candidateTiers(query) {
+  const code = query.replace(/\s/g, '');
+  const exact = ['municipality', 'name', 'search_name'].map(field => `${field}.ilike.${query}`);
+  if (/^[a-z0-9]{3,4}$/.test(code)) exact.push(`ident.ilike.${code}`, `iata_code.ilike.${code}`);
+
+  const contains = TEXT_FIELDS.map(field => `${field}.ilike.%${query}%`);
+
+  const prefixes = new Set();
+  query.split(' ').filter(word => word.length >= 3).forEach((word) => {
+    const prefix = word.slice(0, 3);
+    prefixes.add(`municipality.ilike.${prefix}%`);
+    prefixes.add(`name.ilike.${prefix}%`);
+  });
+
+  return [exact, contains, [...prefixes]].filter(filters => filters.length > 0);
+}
+
+// Carica i possibili candidati un livello alla volta, finché non si arriva al limite.
+// Ogni query è ordinata per tipo prima del limite (large_, medium_, small_airport sono anche in
+// ordine alfabetico): con ricerche ampie ("paris", "new york") i grandi aeroporti non restano
+// fuori dalle righe restituite e arrivano sempre al punteggio
+async function fetchCandidates(query) {
+  const rows = new Map();
+  for (const filters of candidateTiers(query)) {
+    if (rows.size >= CANDIDATE_LIMIT) break;
+
+    const { data, error } = await supabase
+      .from(AIRPORT_TABLE)
+      .select('*')
+      .in('type', SEARCHABLE_TYPES)
+      .or(filters.join(','))
+      .order('type')
+      .limit(CANDIDATE_LIMIT);
+    if (error) return { data: null, error };
+
+    data.forEach(row => rows.set(row.id ?? row.ident, row));
+  }
+  return { data: [...rows.values()], error: null };
+}
+
+// Ricerca classificata per autocompletamento e risoluzione
+export async function searchAirports(input, { limit = 10, near = null } = {}) {
+  const query = sanitizeQuery(input || '');
+  if (query.length < 2) return { data: [], error: null };
+
+  const { data, error } = await fetchCandidates(query);
+  if (error) return { data: null, error };
+
+  const results = data
+    .map(row => scoreAirport(query, row, { near }))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  return { data: results.slice(0, limit), error: null };
+}
+
+// Cerca un aeroporto per codice ICAO (ident) o IATA esatto, in qualsiasi maiuscolo/minuscolo
+export async function findAirportByCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!/^[A-Z0-9]{3,4}$/.test(normalized)) return { data: null, error: null };
+
+  return await cached('airport-search', `code:${normalized}`, async () => {
+    const { data, error } = await supabase
+      .from(AIRPORT_TABLE)
+      .select('*')
+      .or(`ident.eq.${normalized},iata_code.eq.${normalized}`)
+      .limit(5);
+    if (error) return { data: null, error };
+
+    // A parità preferisce l'ICAO: "LIML" è un ident, non uno IATA
+    const row = data.find(a => a.ident?.trim().toUpperCase() === normalized) || data[0];
+    return { data: row ? { ...toAirport(row), match: row.ident?.trim().toUpperCase() === normalized ? 'icao' : 'iata' } : null, error: null };
+  });
+}
+
+// Righe di `Airport 2` per codice ICAO, dalla cache dove possibile; i codici non trovati mancano
+export async function loadAirportsByIdent(codes) {
+  const idents = [...new Set(codes.map(c => String(c).trim().toUpperCase()).filter(Boolean))];
+  const rows = [];
+  const missing = [];
+  for (const ident of idents) {
+    const row = await getCached('airports', ident);
+    if (row) rows.push(row);
+    else missing.push(ident);
+  }
+  if (missing.length === 0) return { data: rows, error: null };
+
+  const { data, error } = await supabase
+    .from(AIRPORT_TABLE)
+    .select('*')
+    .in('ident', missing);
+  if (error) return { data: null, error };
+
+  for (const row of data) {
+    await setCached('airports', row.ident.trim().toUpperCase(), row);
+    rows.push(row);
+  }
+  return { data: rows, error: null };
+}
+
+// Aeroporti adatti entro il raggio dall'aeroporto indicato, dal più vicino
+export async function findNearbyAirports(airport, radiusKm = DEFAULT_ALTERNATE_RADIUS_KM, { limit = MAX_ALTERNATES } = {}) {
+  const latMargin = radiusKm / KM_PER_DEG_LAT;
+  const lonMargin = radiusKm / (KM_PER_DEG_LAT * Math.max(Math.cos(airport.lat * Math.PI / 180), 0.01));
+
+  const { data, error } = await supabase
+    .from(AIRPORT_TABLE)
+    .select('*')
+    .in('type', ALTERNATE_AIRPORT_TYPES)
+    .gte('latitude', airport.lat - latMargin)
+    .lte('latitude', airport.lat + latMargin)
+    .gte('longitude', airport.lon - lonMargin)
+    .lte('longitude', airport.lon + lonMargin);
+  if (error) return { data: null, error };
+
+  const nearby = data
+    .map(row => ({ row, airport: toAirport(row) }))
+    .filter(({ airport: a }) => a.ident !== airport.ident)
+    .map(({ row, airport: a }) => ({ row, airport: a, distance: getDistanceKm(airport.lat, airport.lon, a.lat, a.lon) }))
+    .filter(({ distance }) => distance <= radiusKm)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ row, airport: a, distance }) => ({ ...a, timezone: row.timezone || null, distance_km: Math.round(distance) }));
+
+  return { data: nearby, error: null };
+}
+
+// Il migliore è ambiguo se altri candidati a pari merito servono aree diverse
+function findTies(results) {
+  const [best] = results;
+  return results.filter(r =>
+    r !== best &&
+    best.score - r.score <= AMBIGUITY_MARGIN &&
+    getDistanceKm(best.lat, best.lon, r.lat, r.lon) > SAME_AREA_RADIUS_KM
+  );
+}
+
+// Risolve città/nome/codice in un aeroporto; se ambiguo restituisce i candidati ordinati.
+// source indica come si è arrivati al risultato: 'code' (codice esatto), 'cache' o 'search'
+export async function resolveAirport(input, { near = null, candidates = 5 } = {}) {
+  if (!input) return { code: null, airport: null, ambiguous: false, candidates: [], source: null };
+
+  const normalized = normalizeInput(input);
+  const cacheKey = near ? null : normalized;
+
+  // Codice ICAO o IATA scritto in maiuscolo: ricerca esatta, senza passare dalla ricerca fuzzy.
+  // In minuscolo ("liml", "nce") il codice esatto vince comunque nel punteggio, ma non
+  // scavalca una città omonima più rilevante ("lima")
+  const trimmed = String(input).trim();
+  if (/^[A-Z0-9]{3,4}$/.test(trimmed)) {
+    const { data: airport, error } = await findAirportByCode(trimmed);
+    if (error) {
+      log.error('Errore nella ricerca del codice aeroporto', { input: trimmed, error });
+      return { code: null, airport: null, ambiguous: false, candidates: [], source: 'code', error };
+    }
+    if (airport) {
+      log.debug('Aeroporto risolto per codice', { input: trimmed, match: airport.match, code: airport.ident });
+      return { code: airport.ident, airport, ambiguous: false, candidates: [], source: 'code' };
+    }
+  }
+
+  // Controlla cache
+  const hit = cacheKey && await getCached('airport-search', cacheKey);
+  if (hit) {
+    log.debug('Aeroporto risolto dalla cache', { input: normalized, code: hit.code });
+    return { ...hit, source: 'cache' };
+  }
+
+  const { data: results, error } = await searchAirports(input, { limit: Math.max(candidates, 10), near });
+  if (error) {
+    log.error('Errore nella ricerca dell\'aeroporto', { input: normalized, error });
+    return { code: null, airport: null, ambiguous: false, candidates: [], source: 'search', error };
+  }
+
+  if (results.length === 0) {
+    log.debug('Nessun aeroporto trovato', { input: normalized });
+    return { code: null, airport: null, ambiguous: false, candidates: [], source: 'search' };
+  }
+
+  const ties = findTies(results);
+  if (ties.length > 0) {
+    log.debug('Ricerca aeroporto ambigua', { input: normalized, candidates: [results[0], ...ties].map(r => r.ident) });
+    return { code: null, airport: null, ambiguous: true, candidates: results.slice(0, candidates), source: 'search' };
+  }
+
+  const [best] = results;
+  log.debug('Aeroporto risolto per ricerca', { input: normalized, code: best.ident, score: best.score });
+  const result = { code: best.ident, airport: best, ambiguous: false, candidates: results.slice(0, candidates), source: 'search' };
+  if (cacheKey) await setCached('airport-search', cacheKey, result);
+  return result;
+}
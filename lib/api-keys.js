@@ -0,0 +1,119 @@
+import { randomUUID } from 'node:crypto';
+import { supabase } from './supabase.js';
+import { cached, invalidateCache } from './cache.js';
+
+// Chiavi API dei client (siti partner, chatbot, strumenti interni). Tabella `api_keys`:
+// id, name, client, key_hash, active, rate_limit_per_minute, daily_quota, monthly_quota,
+// allowed_operator_ids (array, null = tutti), pricing_profile (vedi lib/profiles.js), created_at.
+// La chiave in chiaro si vede solo alla creazione: in tabella resta l'hash SHA-256
+export const API_KEYS_TABLE = 'api_keys';
+
+export const API_KEY_PREFIX = 'jpk';
+
+// Limite di default se la chiave non ne indica uno
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+
+// Storage su Supabase
+export function createSupabaseApiKeyStore(client = supabase) {
+  const firstRow = ({ data, error }) => (error ? { data: null, error } : { data: data[0] || null, error: null });
+
+  return {
+    async list() {
+      return await client.from(API_KEYS_TABLE).select('*').order('created_at', { ascending: false });
+    },
+
+    async get(id) {
+      return firstRow(await client.from(API_KEYS_TABLE).select('*').eq('id', id).limit(1));
+    },
+
+    async findByHash(keyHash) {
+      return firstRow(await client.from(API_KEYS_TABLE).select('*').eq('key_hash', keyHash).limit(1));
+    },
+
+    async create(apiKey) {
+      return firstRow(await client.from(API_KEYS_TABLE).insert(apiKey).select());
+    },
+
+    async update(id, changes) {
+      return firstRow(await client.from(API_KEYS_TABLE).update(changes).eq('id', id).select());
+    },
+
+    async remove(id) {
+      return firstRow(await client.from(API_KEYS_TABLE).delete().eq('id', id).select());
+    }
+  };
+}
+
+// Storage in memoria con la stessa interfaccia, per i test e lo sviluppo locale
+export function createMemoryApiKeyStore(initial = []) {
+  const keys = initial.map(k => ({ ...k }));
+  const find = (id) => keys.find(k => String(k.id) === String(id));
+  const copy = (row) => (row ? { ...row } : null);
+
+  return {
+    async list() {
+      return { data: [...keys].sort((a, b) => new Date(b.created_at) - new Date(a.created_at)).map(copy), error: null };
+    },
+
+    async get(id) {
+      return { data: copy(find(id)), error: null };
+    },
+
+    async findByHash(keyHash) {
+      return { data: copy(keys.find(k => k.key_hash === keyHash)), error: null };
+    },
+
+    async create(apiKey) {
+      const created = { id: randomUUID(), created_at: new Date().toISOString(), active: true, ...apiKey };
+      keys.push(created);
+      return { data: copy(created), error: null };
+    },
+
+    async update(id, changes) {
+      const apiKey = find(id);
+      if (!apiKey) return { data: null, error: null };
+      Object.assign(apiKey, changes);
+      return { data: copy(apiKey), error: null };
+    },
+
+    async remove(id) {
+      const index = keys.findIndex(k => String(k.id) === String(id));
+      if (index === -1) return { data: null, error: null };
+      return { data: keys.splice(index, 1)[0], error: null };
+    }
+  };
+}
+
+let store = null;
+
+// Storage corrente (Supabase di default, sostituibile con setApiKeyStore)
+export function getApiKeyStore() {
+  if (!store) store = createSupabaseApiKeyStore();
+  return store;
+}
+
+export function setApiKeyStore(newStore) {
+  store = newStore;
+}
+
+// Chiave per hash, dalla cache se possibile: ogni chiamata autenticata non deve costare una query
+export async function findApiKeyByHash(keyHash) {
+  return await cached('api-keys', keyHash, async () => await getApiKeyStore().findByHash(keyHash));
+}
+
+// Da chiamare dopo ogni modifica alle chiavi (disattivazione, limiti, restrizioni)
+export async function invalidateApiKeyCache() {
+  await invalidateCache('api-keys');
+}
+
+// Chiave senza l'hash
+export function publicApiKey({ key_hash, ...apiKey }) {
+  return apiKey;
+}
+
+// Il jet è tra quelli che la chiave può vedere (allowed_operator_ids vuoto o assente = tutti)
+export function isJetAllowed(apiKey, jet) {
+  const allowed = apiKey?.allowed_operator_ids;
+  if (!Array.isArray(allowed) || allowed.length === 0) return true;
+  return allowed.some(id => String(id) === String(jet.operator_id));
+}
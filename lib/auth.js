@@ -0,0 +1,105 @@
+import { getOperatorStore } from './operators.js';
+import { findApiKeyByHash } from './api-keys.js';
+import { consumeApiKey, consumeQuota } from './rate-limit.js';
+import { sendError, sendDatabaseError } from './validation.js';
+import { addLogContext } from './logger.js';
+import { getBearerToken, hashToken, isAdminToken } from './tokens.js';
+
+// Autenticazione con token Bearer: token di amministrazione (variabile ADMIN_TOKEN)
+// oppure token dell'operatore, salvato solo come hash SHA-256.
+// Gli endpoint pubblici usano invece la chiave API del client nell'header X-API-Key
+
+export { getBearerToken, hashToken, generateToken, isAdminToken } from './tokens.js';
+
+// Chi sta chiamando: { admin: true } oppure { operator }; entrambi null se il token manca o non è valido
+export async function authenticate(req) {
+  const token = getBearerToken(req);
+  if (!token) return { admin: false, operator: null, error: null };
+  if (isAdminToken(token)) return { admin: true, operator: null, error: null };
+
+  const { data: operator, error } = await getOperatorStore().findByTokenHash(hashToken(token));
+  if (error) return { admin: false, operator: null, error };
+  if (!operator || operator.active === false) return { admin: false, operator: null, error: null };
+  return { admin: false, operator, error: null };
+}
+
+// Chiamante autenticato, oppure null dopo aver già risposto con 401 (o 500 se il database non risponde)
+export async function requireCaller(req, res) {
+  const caller = await authenticate(req);
+  if (caller.error) {
+    sendDatabaseError(req, res, caller.error);
+    return null;
+  }
+  if (!caller.admin && !caller.operator) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendError(req, res, 401, 'UNAUTHORIZED');
+    return null;
+  }
+  addLogContext(caller.admin ? { caller: 'admin' } : { caller: 'operator', operator_id: caller.operator.id });
+  return caller;
+}
+
+// L'amministrazione vede tutto, l'operatore solo ciò che ha il suo operator_id
+export function canAccessOperator(caller, operatorId) {
+  return caller.admin || String(caller.operator?.id) === String(operatorId);
+}
+
+export function getApiKey(req) {
+  const header = req.headers?.['x-api-key'];
+  return typeof header === 'string' && header.trim() ? header.trim() : null;
+}
+
+// Chiave API attiva della richiesta, senza consumare limiti; null se assente o non valida
+export async function authenticateApiKey(req) {
+  const key = getApiKey(req);
+  if (!key) return { data: null, error: null };
+
+  const { data: apiKey, error } = await findApiKeyByHash(hashToken(key));
+  if (error) return { data: null, error };
+  return { data: apiKey && apiKey.active !== false ? apiKey : null, error: null };
+}
+
+// Chiave API valida e nei limiti, oppure null dopo aver già risposto con 401, 429 (o 500).
+// cost: preventivi calcolati dalla richiesta, per le quote (es. elementi di un batch)
+export async function requireApiKey(req, res, endpoint, { cost = 0 } = {}) {
+  const { data: apiKey, error } = await authenticateApiKey(req);
+  if (error) {
+    sendDatabaseError(req, res, error);
+    return null;
+  }
+  if (!apiKey) {
+    res.setHeader('WWW-Authenticate', 'ApiKey header="X-API-Key"');
+    sendError(req, res, 401, 'UNAUTHORIZED');
+    return null;
+  }
+  addLogContext({ api_key_id: apiKey.id });
+
+  const usage = await consumeApiKey(apiKey, endpoint, { cost });
+  if (usage.limit) res.setHeader('X-RateLimit-Limit', String(usage.limit));
+  if (usage.remaining != null) res.setHeader('X-RateLimit-Remaining', String(usage.remaining));
+  if (usage.reset_at) res.setHeader('X-RateLimit-Reset', String(Math.ceil(usage.reset_at / 1000)));
+
+  if (!usage.allowed) {
+    sendUsageRejected(req, res, usage);
+    return null;
+  }
+  return apiKey;
+}
+
+// Addebita i preventivi alle quote della chiave quando la richiesta è valida (requireApiKey con
+// cost 0 prima della validazione). false dopo aver già risposto con 429
+export async function chargeApiKey(req, res, apiKey, endpoint, cost) {
+  if (!(cost > 0)) return true;
+  const usage = await consumeQuota(apiKey, endpoint, { cost });
+  if (!usage.allowed) {
+    sendUsageRejected(req, res, usage);
+    return false;
+  }
+  return true;
+}
+
+function sendUsageRejected(req, res, usage) {
+  const { allowed, code, ...details } = usage;
+  res.setHeader('Retry-After', String(usage.retry_after_s));
+  sendError(req, res, 429, code, details);
+}
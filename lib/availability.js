@@ -0,0 +1,199 @@
+import { supabase } from './supabase.js';
+import { zonedDateTimeToInstant } from './timezone.js';
+
+// Tabella Supabase con blocchi di indisponibilità e opzioni temporanee
+// (id, jet_id, kind, start_at, end_at, expires_at, note, api_key_id della chiave che ha messo l'opzione)
+export const AVAILABILITY_TABLE = 'jet_availability';
+
+export const BLOCK_KINDS = ['maintenance', 'charter', 'other'];
+export const HOLD_KIND = 'hold';
+
+// Durata di default di un'opzione (hold) se non specificata
+export const DEFAULT_HOLD_MINUTES = 30;
+
+// Margine prima e dopo il volo in cui il jet deve essere libero (ore)
+const AVAILABILITY_BUFFER_H = 1;
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+// Un blocco è attivo se non è un'opzione scaduta
+export function isActiveBlock(block, now = new Date()) {
+  if (block.kind !== HOLD_KIND || !block.expires_at) return true;
+  return new Date(block.expires_at) > now;
+}
+
+// Un'opzione appartiene alla chiave API che l'ha messa: solo lei la vede, la rilascia e la ignora nei preventivi
+export function isHoldOwnedBy(hold, apiKey) {
+  return hold.kind === HOLD_KIND && hold.api_key_id != null && String(hold.api_key_id) === String(apiKey?.id);
+}
+
+// Opzione da ignorare nel calcolo (la propria, passata come holdId): null se non è della chiave.
+// Senza chiave (ricalcolo interno di un preventivo già salvato) l'opzione è già stata verificata
+export function resolveOwnHoldId(blocks, holdId, apiKey) {
+  if (holdId === null || holdId === undefined) return null;
+  if (!apiKey) return holdId;
+  const hold = blocks.find(block => String(block.id) === String(holdId));
+  return hold && isHoldOwnedBy(hold, apiKey) ? holdId : null;
+}
+
+function overlaps(block, from, to) {
+  return new Date(block.start_at) < new Date(to) && new Date(block.end_at) > new Date(from);
+}
+
+// Storage su Supabase
+export function createSupabaseAvailabilityStore(client = supabase) {
+  return {
+    async list({ jetIds, from, to } = {}) {
+      let query = client.from(AVAILABILITY_TABLE).select('*');
+      if (jetIds) query = query.in('jet_id', jetIds);
+      if (to) query = query.lt('start_at', to);
+      if (from) query = query.gt('end_at', from);
+      return await query.order('start_at');
+    },
+
+    async get(id) {
+      const { data, error } = await client.from(AVAILABILITY_TABLE).select('*').eq('id', id).limit(1);
+      if (error) return { data: null, error };
+      return { data: data[0] || null, error: null };
+    },
+
+    async create(block) {
+      const { data, error } = await client.from(AVAILABILITY_TABLE).insert(block).select();
+      if (error) return { data: null, error };
+      return { data: data[0], error: null };
+    },
+
+    async remove(id) {
+      const { data, error } = await client.from(AVAILABILITY_TABLE).delete().eq('id', id).select();
+      if (error) return { data: null, error };
+      return { data: data[0] || null, error: null };
+    }
+  };
+}
+
+// Storage in memoria con la stessa interfaccia, per i test e lo sviluppo locale
+export function createMemoryAvailabilityStore(initial = []) {
+  const blocks = initial.map(b => ({ ...b }));
+  let nextId = blocks.reduce((max, b) => Math.max(max, Number(b.id) || 0), 0) + 1;
+
+  return {
+    async list({ jetIds, from, to } = {}) {
+      const data = blocks
+        .filter(b => !jetIds || jetIds.map(String).includes(String(b.jet_id)))
+        .filter(b => (!to || new Date(b.start_at) < new Date(to)) && (!from || new Date(b.end_at) > new Date(from)))
+        .sort((a, b) => new Date(a.start_at) - new Date(b.start_at));
+      return { data: data.map(b => ({ ...b })), error: null };
+    },
+
+    async get(id) {
+      const block = blocks.find(b => String(b.id) === String(id));
+      return { data: block ? { ...block } : null, error: null };
+    },
+
+    async create(block) {
+      const created = { id: nextId++, created_at: new Date().toISOString(), ...block };
+      blocks.push(created);
+      return { data: { ...created }, error: null };
+    },
+
+    async remove(id) {
+      const index = blocks.findIndex(b => String(b.id) === String(id));
+      if (index === -1) return { data: null, error: null };
+      const [removed] = blocks.splice(index, 1);
+      return { data: removed, error: null };
+    }
+  };
+}
+
+let store = null;
+
+// Storage corrente (Supabase di default, sostituibile con setAvailabilityStore)
+export function getAvailabilityStore() {
+  if (!store) store = createSupabaseAvailabilityStore();
+  return store;
+}
+
+export function setAvailabilityStore(newStore) {
+  store = newStore;
+}
+
+// Converte data (YYYY-MM-DD) e orario (HH:MM) nel fuso indicato (default UTC) in un istante ISO
+export function toTimestamp(date, time = '00:00', timeZone = 'UTC') {
+  if (isNaN(new Date(`${date}T${time}:00Z`).getTime())) return null;
+  const value = zonedDateTimeToInstant(date, time, timeZone);
+  return value && !isNaN(value.getTime()) ? value.toISOString() : null;
+}
+
+function nextDay(date) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + 1);
+  return value.toISOString().slice(0, 10);
+}
+
+// Normalizza l'intervallo di un blocco: accetta start/end ISO oppure date intere (date / end_date),
+// da mezzanotte a mezzanotte nel fuso della homebase del jet, come gli orari dei voli
+export function resolveBlockWindow({ start, end, date, end_date }, { timeZone = 'UTC' } = {}) {
+  if (start && end) {
+    const startAt = new Date(start);
+    const endAt = new Date(end);
+    if (isNaN(startAt.getTime()) || isNaN(endAt.getTime())) return null;
+    return { start_at: startAt.toISOString(), end_at: endAt.toISOString() };
+  }
+
+  if (date) {
+    const startAt = toTimestamp(date, '00:00', timeZone);
+    const lastDay = end_date || date;
+    const endAt = toTimestamp(lastDay, '00:00', timeZone) && toTimestamp(nextDay(lastDay), '00:00', timeZone);
+    if (!startAt || !endAt) return null;
+    return { start_at: startAt, end_at: endAt };
+  }
+
+  return null;
+}
+
+// Finestra temporale di un volo (istante di partenza + durata), con margine prima e dopo
+export function flightWindow(departure, blockHours) {
+  if (!departure) return null;
+  const startMs = new Date(departure).getTime();
+  if (isNaN(startMs)) return null;
+  return {
+    start: new Date(startMs - AVAILABILITY_BUFFER_H * MS_PER_HOUR).toISOString(),
+    end: new Date(startMs + (blockHours + AVAILABILITY_BUFFER_H) * MS_PER_HOUR).toISOString()
+  };
+}
+
+// Unisce più finestre in una sola, dal primo inizio all'ultima fine
+export function spanWindows(windows) {
+  const valid = windows.filter(Boolean);
+  if (valid.length === 0) return null;
+  return {
+    start: valid.map(w => w.start).sort()[0],
+    end: valid.map(w => w.end).sort().reverse()[0]
+  };
+}
+
+// Blocchi attivi del jet che si sovrappongono ad almeno una delle finestre richieste
+export function findConflicts(blocks, jetId, windows, { now = new Date(), ignoreHoldId = null } = {}) {
+  return blocks.filter(block =>
+    String(block.jet_id) === String(jetId) &&
+    isActiveBlock(block, now) &&
+    !(ignoreHoldId && String(block.id) === String(ignoreHoldId)) &&
+    windows.some(w => w && overlaps(block, w.start, w.end))
+  );
+}
+
+// Problema strutturato da allegare al risultato del jet
+export function availabilityIssue(conflicts) {
+  if (conflicts.length === 0) return null;
+  return {
+    code: 'UNAVAILABLE',
+    message: 'Jet non disponibile nelle date richieste',
+    conflicts: conflicts.map(c => ({
+      id: c.id,
+      kind: c.kind,
+      start: c.start_at,
+      end: c.end_at,
+      expires_at: c.kind === HOLD_KIND ? c.expires_at : undefined
+    }))
+  };
+}
@@ -0,0 +1,192 @@
+import { log } from './logger.js';
+
+// Cache condivisa con backend intercambiabile: in memoria (default, per singola istanza)
+// oppure esterno (Redis/Upstash o simili) per condividerla tra le istanze serverless
+//
+// Un backend espone:
+//   get(key) -> valore | undefined, set(key, value, ttlMs), delete(key)
+// ttlMs assente o 0 = nessuna scadenza.
+
+// Durata di default per namespace
+export const CACHE_TTL = {
+  'airport-search': 1000 * 60 * 60,    // 1 ora: città/nome -> aeroporto risolto
+  airports: 1000 * 60 * 60 * 24,       // 24 ore: righe di `Airport 2` per ICAO
+  fleet: 1000 * 60 * 10,               // 10 minuti: elenco dei jet
+  homebases: 1000 * 60 * 60 * 24,      // 24 ore: coordinate delle homebase della flotta
+  'api-keys': 1000 * 60                // 1 minuto: chiavi API per hash (disattivazioni visibili in fretta)
+};
+
+const DEFAULT_TTL = 1000 * 60 * 5;
+
+// Backend in memoria: Map con scadenza per chiave
+export function createMemoryCacheBackend() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+// Backend su un archivio chiave/valore esterno con valori stringa, es. @upstash/redis:
+//   client.get(key) -> string | null, client.set(key, value, { px }), client.del(key)
+export function createKeyValueCacheBackend(client, { name = 'key-value', prefix = 'jet-pricing:' } = {}) {
+  return {
+    name,
+
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      if (raw === null || raw === undefined) return undefined;
+      return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    },
+
+    async set(key, value, ttlMs) {
+      await client.set(prefix + key, JSON.stringify(value), ttlMs ? { px: ttlMs } : undefined);
+    },
+
+    async delete(key) {
+      await client.del(prefix + key);
+    }
+  };
+}
+
+// Client chiave/valore locale con la stessa interfaccia di quello esterno, per test e sviluppo
+export function createLocalKeyValueClient() {
+  const memory = createMemoryCacheBackend();
+  return {
+    async get(key) {
+      return (await memory.get(key)) ?? null;
+    },
+    async set(key, value, options) {
+      await memory.set(key, String(value), options?.px);
+      return 'OK';
+    },
+    async del(key) {
+      await memory.delete(key);
+      return 1;
+    }
+  };
+}
+
+let backend = null;
+let stats = {};
+
+// Backend corrente (in memoria di default, sostituibile con setCacheBackend)
+export function getCacheBackend() {
+  if (!backend) backend = createMemoryCacheBackend();
+  return backend;
+}
+
+export function setCacheBackend(newBackend) {
+  backend = newBackend;
+}
+
+function statsFor(namespace) {
+  if (!stats[namespace]) stats[namespace] = { hits: 0, misses: 0, sets: 0, invalidations: 0, errors: 0 };
+  return stats[namespace];
+}
+
+// L'invalidazione di un namespace ne incrementa la versione: le chiavi vecchie non vengono
+// più lette e scadono da sole, senza dover scorrere le chiavi del backend esterno
+async function namespaceVersion(namespace) {
+  return (await getCacheBackend().get(`${namespace}:version`)) || 0;
+}
+
+async function versionedKey(namespace, key) {
+  return `${namespace}:v${await namespaceVersion(namespace)}:${key}`;
+}
+
+// Legge una chiave; un backend non raggiungibile conta come miss, mai come errore della richiesta
+export async function getCached(namespace, key) {
+  const counters = statsFor(namespace);
+  try {
+    const value = await getCacheBackend().get(await versionedKey(namespace, key));
+    if (value === undefined) {
+      counters.misses++;
+      return undefined;
+    }
+    counters.hits++;
+    return value;
+  } catch (error) {
+    counters.errors++;
+    counters.misses++;
+    log.warn('Errore di lettura della cache', { namespace, error: error.message });
+    return undefined;
+  }
+}
+
+export async function setCached(namespace, key, value, ttlMs = CACHE_TTL[namespace] ?? DEFAULT_TTL) {
+  const counters = statsFor(namespace);
+  try {
+    await getCacheBackend().set(await versionedKey(namespace, key), value, ttlMs);
+    counters.sets++;
+  } catch (error) {
+    counters.errors++;
+    log.warn('Errore di scrittura della cache', { namespace, error: error.message });
+  }
+}
+
+// Valore dalla cache o dal loader ({ data, error }); errori e risultati null non vengono salvati
+export async function cached(namespace, key, loader, { ttl } = {}) {
+  const hit = await getCached(namespace, key);
+  if (hit !== undefined) return { data: hit, error: null };
+
+  const { data, error } = await loader();
+  if (!error && data !== null && data !== undefined) await setCached(namespace, key, data, ttl);
+  return { data, error };
+}
+
+// Invalida una chiave del namespace, o l'intero namespace se la chiave non è indicata
+export async function invalidateCache(namespace, key) {
+  const counters = statsFor(namespace);
+  try {
+    if (key !== undefined) {
+      await getCacheBackend().delete(await versionedKey(namespace, key));
+    } else {
+      await getCacheBackend().set(`${namespace}:version`, (await namespaceVersion(namespace)) + 1);
+    }
+    counters.invalidations++;
+  } catch (error) {
+    counters.errors++;
+    log.warn('Errore di invalidazione della cache', { namespace, error: error.message });
+  }
+}
+
+// Statistiche di hit/miss dall'avvio dell'istanza, per namespace
+export function getCacheStats() {
+  const namespaces = {};
+  for (const [namespace, counters] of Object.entries(stats)) {
+    const lookups = counters.hits + counters.misses;
+    namespaces[namespace] = {
+      ...counters,
+      hit_rate: lookups > 0 ? Number((counters.hits / lookups).toFixed(3)) : null,
+      ttl_ms: CACHE_TTL[namespace] ?? DEFAULT_TTL
+    };
+  }
+  return { backend: getCacheBackend().name || 'custom', namespaces };
+}
+
+export function resetCacheStats() {
+  stats = {};
+}
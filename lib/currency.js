@@ -0,0 +1,112 @@
+import { readFileSync } from 'fs';
+import { supabase } from './supabase.js';
+import { log } from './logger.js';
+
+// Valute e tassi di cambio: file di default + tabella Supabase `exchange_rates`
+// (colonne: currency, rate = unità di valuta per 1 unità della valuta base, as_of timestamp)
+export const EXCHANGE_RATES_TABLE = 'exchange_rates';
+
+// Valuta in cui sono espressi tariffe e importi fissi se jet e regole non dicono altro
+export const DEFAULT_CURRENCY = 'EUR';
+
+const RATES_FILE = new URL('../config/exchange-rates.json', import.meta.url);
+const RATES_CACHE_EXPIRY = 1000 * 60 * 5; // 5 minuti
+
+let ratesCache = null;
+
+export function loadRatesFile() {
+  const file = JSON.parse(readFileSync(RATES_FILE, 'utf8'));
+  const rates = {};
+  for (const [currency, rate] of Object.entries(file.rates || {})) {
+    rates[currency.toUpperCase()] = { rate: Number(rate), as_of: file.as_of || null };
+  }
+  return { base: (file.base || DEFAULT_CURRENCY).toUpperCase(), rates };
+}
+
+// Carica i tassi (file + tabella, la tabella vince per valuta), con cache in memoria
+export async function loadExchangeRates({ force = false } = {}) {
+  if (!force && ratesCache && (Date.now() - ratesCache.timestamp) < RATES_CACHE_EXPIRY) {
+    return ratesCache.data;
+  }
+
+  const table = loadRatesFile();
+
+  try {
+    const { data, error } = await supabase.from(EXCHANGE_RATES_TABLE).select('currency, rate, as_of');
+    if (error) {
+      log.warn('Tabella non disponibile, uso solo il file', { table: EXCHANGE_RATES_TABLE, error: error.message });
+    } else {
+      for (const row of data || []) {
+        const rate = Number(row.rate);
+        if (!row.currency || !Number.isFinite(rate) || rate <= 0) continue;
+        table.rates[row.currency.trim().toUpperCase()] = { rate, as_of: row.as_of || null };
+      }
+    }
+  } catch (error) {
+    log.warn('Errore nel caricamento dei tassi di cambio, uso solo il file', { error: error.message });
+  }
+
+  table.rates[table.base] = table.rates[table.base] || { rate: 1, as_of: null };
+  ratesCache = { data: table, timestamp: Date.now() };
+  return table;
+}
+
+export function isSupportedCurrency(rateTable, currency) {
+  return Boolean(currency && rateTable.rates[currency.toUpperCase()]);
+}
+
+// Valuta base del jet: colonna `currency` del jet, altrimenti quella delle regole (es. per operatore)
+export function getJetCurrency(jet, rules) {
+  return String(jet.currency || rules?.currency || DEFAULT_CURRENCY).trim().toUpperCase();
+}
+
+// Conversione da una valuta all'altra passando per la valuta base della tabella;
+// as_of è la data del tasso più vecchio usato. null se manca uno dei due tassi
+export function getConversion(rateTable, from, to) {
+  if (from === to) return { from, to, rate: 1, as_of: null };
+  const source = rateTable.rates[from];
+  const target = rateTable.rates[to];
+  if (!source || !target) return null;
+  const dates = [source.as_of, target.as_of].filter(Boolean).sort();
+  return {
+    from,
+    to,
+    rate: Number((target.rate / source.rate).toFixed(6)),
+    as_of: dates[0] || null
+  };
+}
+
+// Valuta di calcolo per il jet nella valuta richiesta; se manca il tasso il prezzo resta nella
+// valuta del jet e il jet riceve un problema bloccante
+export function resolveJetCurrency(rateTable, jet, rules, target) {
+  const base = getJetCurrency(jet, rules);
+  const conversion = getConversion(rateTable, base, target);
+  if (conversion) return { code: target, rate: conversion.rate, conversion: base === target ? null : conversion };
+  return {
+    code: base,
+    rate: 1,
+    conversion: null,
+    issue: {
+      code: 'MISSING_EXCHANGE_RATE',
+      message: 'Tasso di cambio non disponibile per la valuta del jet',
+      from: base,
+      to: target
+    }
+  };
+}
+
+// Riepilogo per la risposta: valuta richiesta e tassi effettivamente usati
+export function describeCurrency(target, currencies) {
+  const seen = new Map();
+  for (const currency of currencies) {
+    const conversion = currency?.conversion;
+    if (conversion) seen.set(`${conversion.from}-${conversion.to}`, conversion);
+  }
+  const conversions = [...seen.values()];
+  const dates = conversions.map(c => c.as_of).filter(Boolean).sort();
+  return {
+    code: target,
+    rate_date: dates[0] || null,
+    conversions
+  };
+}
@@ -0,0 +1,285 @@
+import { toLocalDate } from './timezone.js';
+
+// Interpretazione di date e orari liberi (italiano e inglese) rispetto al momento della richiesta
+
+const MONTHS = {
+  gennaio: 1, gen: 1, january: 1, jan: 1,
+  febbraio: 2, feb: 2, february: 2,
+  marzo: 3, mar: 3, march: 3,
+  aprile: 4, apr: 4, april: 4,
+  maggio: 5, mag: 5, may: 5,
+  giugno: 6, giu: 6, june: 6, jun: 6,
+  luglio: 7, lug: 7, july: 7, jul: 7,
+  agosto: 8, ago: 8, august: 8, aug: 8,
+  settembre: 9, set: 9, sett: 9, september: 9, sep: 9, sept: 9,
+  ottobre: 10, ott: 10, october: 10, oct: 10,
+  novembre: 11, nov: 11, november: 11,
+  dicembre: 12, dic: 12, december: 12, dec: 12
+};
+
+const WEEKDAYS = {
+  domenica: 0, sunday: 0, sun: 0, dom: 0,
+  lunedi: 1, monday: 1, mon: 1, lun: 1,
+  martedi: 2, tuesday: 2, tue: 2, tues: 2,
+  mercoledi: 3, wednesday: 3, wed: 3, mer: 3,
+  giovedi: 4, thursday: 4, thu: 4, thurs: 4, gio: 4,
+  venerdi: 5, friday: 5, fri: 5, ven: 5,
+  sabato: 6, saturday: 6, sat: 6, sab: 6
+};
+
+// Nomi italiani per le descrizioni, indice come getUTCDay
+const WEEKDAY_NAMES = ['domenica', 'lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì', 'sabato'];
+
+const RELATIVE_DAYS = {
+  oggi: 0, today: 0, stasera: 0, tonight: 0, stamattina: 0, stanotte: 0,
+  domani: 1, tomorrow: 1,
+  dopodomani: 2, 'day after tomorrow': 2, 'the day after tomorrow': 2
+};
+
+const NUMBER_WORDS = {
+  un: 1, uno: 1, una: 1, a: 1, an: 1, one: 1,
+  due: 2, two: 2, tre: 3, three: 3, quattro: 4, four: 4, cinque: 5, five: 5,
+  sei: 6, six: 6, sette: 7, seven: 7, otto: 8, eight: 8, nove: 9, nine: 9, dieci: 10, ten: 10
+};
+
+const NEXT_WORDS = '(?:next|prossimo|prossima)';
+const THIS_WORDS = '(?:this|questo|questa)';
+
+// Rimuove accenti e normalizza minuscolo e spazi
+function normalize(str) {
+  return String(str)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toIsoDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function isRealDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+export function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function weekdayOf(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
+
+function parseCount(word) {
+  return /^\d+$/.test(word) ? Number(word) : NUMBER_WORDS[word] ?? null;
+}
+
+function relative(offset, input, kind = 'relative', description = null) {
+  return {
+    offset,
+    input,
+    interpretation: {
+      kind,
+      offset_days: offset,
+      description: description || (offset === 0 ? 'oggi' : offset === 1 ? 'domani' : `tra ${offset} giorni`)
+    }
+  };
+}
+
+function fromToday(today, { offset, input, interpretation }) {
+  return { date: addDays(today, offset), input, interpretation };
+}
+
+function dateError(code, message, input) {
+  return { date: null, input, error: { code, message } };
+}
+
+// Giorno e mese senza anno: quest'anno se non è passato, altrimenti l'anno prossimo
+function withInferredYear(day, month, today, input, kind) {
+  const currentYear = Number(today.slice(0, 4));
+  for (const year of [currentYear, currentYear + 1]) {
+    if (!isRealDate(year, month, day)) continue;
+    const date = toIsoDate(year, month, day);
+    if (date >= today) {
+      return {
+        date,
+        input,
+        interpretation: {
+          kind,
+          assumed_year: year,
+          description: year === currentYear
+            ? `${day}/${month} di quest'anno`
+            : `${day}/${month} dell'anno prossimo (quest'anno è già passato)`
+        }
+      };
+    }
+  }
+  return dateError('INVALID_DATE', 'Data non valida', input);
+}
+
+function withExplicitYear(day, month, year, input, kind) {
+  if (year < 100) year += 2000;
+  if (!isRealDate(year, month, day)) return dateError('INVALID_DATE', 'Data non valida', input);
+  return {
+    date: toIsoDate(year, month, day),
+    input,
+    interpretation: { kind, description: `${day}/${month}/${year}` }
+  };
+}
+
+// Interpreta una data libera ("domani", "next friday", "15/08", "3 giugno", "2025-06-01");
+// le date relative partono dal giorno di `now` nel fuso `timeZone`
+export function parseDate(input, { now = new Date(), timeZone = 'UTC' } = {}) {
+  if (input === undefined || input === null || input === '') return { date: null, input, interpretation: null };
+  if (typeof input !== 'string') return dateError('INVALID_DATE', 'La data deve essere una stringa', input);
+
+  const today = toLocalDate(now, timeZone);
+  const text = normalize(input).replace(/[,.]$/, '');
+  let match;
+
+  // ISO: 2025-06-01 (anche con orario ISO in coda)
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:t.*)?$/))) {
+    return withExplicitYear(+match[3], +match[2], +match[1], input, 'iso');
+  }
+
+  if (RELATIVE_DAYS[text] !== undefined) {
+    return fromToday(today, relative(RELATIVE_DAYS[text], input));
+  }
+
+  // "tra 3 giorni", "fra una settimana", "in 2 weeks", "in a week"
+  if ((match = text.match(/^(?:tra|fra|in) (\w+) (giorni|giorno|days|day|settimane|settimana|weeks|week)$/))) {
+    const count = parseCount(match[1]);
+    if (count !== null) {
+      const offset = /^(settiman|week)/.test(match[2]) ? count * 7 : count;
+      return fromToday(today, relative(offset, input));
+    }
+  }
+
+  if (/^(?:next week|settimana prossima|la settimana prossima|prossima settimana)$/.test(text)) {
+    return fromToday(today, relative(7, input));
+  }
+
+  // Giorno della settimana: "venerdi", "next friday", "venerdi prossimo", "this saturday"
+  const weekdayPattern = new RegExp(`^(?:(${NEXT_WORDS}|${THIS_WORDS}) )?([a-z]+)(?: (${NEXT_WORDS}))?$`);
+  if ((match = text.match(weekdayPattern)) && WEEKDAYS[match[2]] !== undefined) {
+    const target = WEEKDAYS[match[2]];
+    const includeToday = match[1] && new RegExp(`^${THIS_WORDS}$`).test(match[1]);
+    let offset = (target - weekdayOf(today) + 7) % 7;
+    if (offset === 0 && !includeToday) offset = 7;
+    return fromToday(today, relative(offset, input, 'weekday', offset === 0 ? 'oggi' : `primo ${WEEKDAY_NAMES[target]} dopo oggi`));
+  }
+
+  // Numerica: 15/08, 15-08, 15.08, 15/08/2026; giorno prima del mese, salvo mese > 12
+  if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/))) {
+    let day = +match[1];
+    let month = +match[2];
+    let ambiguous = day <= 12 && month <= 12 && day !== month;
+    let kind = 'numeric';
+    if (month > 12 && day <= 12) {
+      [day, month] = [month, day];
+      ambiguous = false;
+      kind = 'numeric_month_first';
+    }
+    const result = match[3]
+      ? withExplicitYear(day, month, +match[3], input, kind)
+      : withInferredYear(day, month, today, input, kind);
+    if (result.interpretation && ambiguous) {
+      result.interpretation.ambiguous = true;
+      result.interpretation.description += ' (letto come giorno/mese)';
+    }
+    return result;
+  }
+
+  // Testuale: "3 giugno", "12th march", "1° maggio 2026", "march 12", "june 3rd, 2026"
+  const cleaned = text.replace(/(\d+)(?:st|nd|rd|th|°|º)/g, '$1').replace(/,/g, '').replace(/^(?:il|the|on|del) /, '');
+  if ((match = cleaned.match(/^(\d{1,2}) (?:di |of )?([a-z]+)(?: (\d{4}))?$/)) && MONTHS[match[2]]) {
+    return match[3]
+      ? withExplicitYear(+match[1], MONTHS[match[2]], +match[3], input, 'day_month')
+      : withInferredYear(+match[1], MONTHS[match[2]], today, input, 'day_month');
+  }
+  if ((match = cleaned.match(/^([a-z]+) (\d{1,2})(?: (\d{4}))?$/)) && MONTHS[match[1]]) {
+    return match[3]
+      ? withExplicitYear(+match[2], MONTHS[match[1]], +match[3], input, 'month_day')
+      : withInferredYear(+match[2], MONTHS[match[1]], today, input, 'month_day');
+  }
+
+  return dateError('INVALID_DATE', 'Formato data non riconosciuto', input);
+}
+
+// Interpreta un orario libero ("14:30", "14.30", "9", "2pm", "2:30 pm", "ore 15", "alle 9:30")
+export function parseTime(input) {
+  if (input === undefined || input === null || input === '') return { time: null, input, interpretation: null };
+  if (typeof input !== 'string' && typeof input !== 'number') {
+    return { time: null, input, error: { code: 'INVALID_TIME', message: 'Orario non valido' } };
+  }
+
+  // Prefissi anche combinati: "alle ore 15"
+  const text = normalize(input).replace(/^(?:(?:ore|alle|at|h) )+/, '');
+  const match = text.match(/^(\d{1,2})(?:[:.h](\d{2}))?\s*(am|pm)?$/);
+  if (!match) return { time: null, input, error: { code: 'INVALID_TIME', message: 'Formato orario non riconosciuto' } };
+
+  let hours = +match[1];
+  const minutes = match[2] ? +match[2] : 0;
+  const meridiem = match[3];
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return { time: null, input, error: { code: 'INVALID_TIME', message: 'Orario non valido' } };
+    if (meridiem === 'pm' && hours !== 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+  }
+
+  if (hours > 23 || minutes > 59) return { time: null, input, error: { code: 'INVALID_TIME', message: 'Orario non valido' } };
+
+  const time = `${pad(hours)}:${pad(minutes)}`;
+  return {
+    time,
+    input,
+    interpretation: { kind: meridiem ? '12h' : '24h', description: time }
+  };
+}
+
+// Interpreta date di andata e ritorno: niente date passate, ritorno non prima dell'andata
+export function resolveTripDates({ date, returnDate }, { now = new Date(), timeZone = 'UTC' } = {}) {
+  const today = toLocalDate(now, timeZone);
+  const departure = parseDate(date, { now, timeZone });
+  if (departure.error) return { error: { ...departure.error, field: 'date', input: date } };
+  if (departure.date && departure.date < today) {
+    return { error: { code: 'DATE_IN_PAST', message: 'La data di partenza è nel passato', field: 'date', input: date, resolved: departure.date } };
+  }
+
+  // Il ritorno relativo ("dopodomani") resta relativo a oggi, come lo intende chi scrive
+  const ret = parseDate(returnDate, { now, timeZone });
+  if (ret.error) return { error: { ...ret.error, field: 'returnDate', input: returnDate } };
+  if (ret.date && ret.date < today) {
+    return { error: { code: 'DATE_IN_PAST', message: 'La data di ritorno è nel passato', field: 'returnDate', input: returnDate, resolved: ret.date } };
+  }
+  if (ret.date && departure.date && ret.date < departure.date) {
+    return {
+      error: {
+        code: 'RETURN_BEFORE_DEPARTURE',
+        message: 'La data di ritorno è precedente a quella di partenza',
+        field: 'returnDate',
+        input: returnDate,
+        resolved: ret.date,
+        departure_date: departure.date
+      }
+    };
+  }
+
+  return {
+    date: departure.date,
+    returnDate: ret.date,
+    interpretations: {
+      date: departure.interpretation,
+      returnDate: ret.interpretation
+    }
+  };
+}
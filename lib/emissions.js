@@ -0,0 +1,95 @@
+import { estimateFlightTime } from './flight-model.js';
+
+// Stima di carburante e CO2 per jet a partire dalle ore di volo già calcolate dal modello,
+// compresi rientri a vuoto e posizionamenti da e verso la homebase.
+// Consumo orario: campo `fuel_burn_kg_per_hour` del jet, altrimenti le regole `emissions`
+// (default ← categoria ← operatore ← jet):
+//   fuel_burn_kg_per_hour, co2_per_kg_fuel, offset_price_per_tonne (nella valuta delle tariffe del jet)
+
+// kg di CO2 per kg di cherosene bruciato (fattore ICAO per il Jet A-1)
+export const CO2_PER_KG_FUEL = 3.16;
+
+// Consumo orario del jet e da dove arriva (null se né il jet né le regole lo indicano)
+export function getFuelBurn(jet, rules) {
+  const own = Number(jet.fuel_burn_kg_per_hour);
+  if (own > 0) return { kg_per_hour: own, source: 'jet' };
+  const fromRules = Number(rules.emissions?.fuel_burn_kg_per_hour);
+  if (fromRules > 0) return { kg_per_hour: fromRules, source: 'rules' };
+  return null;
+}
+
+// Voli del viaggio preceduti dal posizionamento dalla homebase alla partenza e seguiti dal
+// ritorno alla base (per i viaggi che non ne tengono già conto, come priceTrip)
+export function withHomebasePositioning(flights, jet, homebase, dep, rules, { date = null, returnDate = null } = {}) {
+  if (!homebase || !dep || homebase.ident === dep.ident || !Number.isFinite(homebase.lat)) return flights;
+  const outbound = estimateFlightTime([[homebase, dep]], jet, rules, { date });
+  const inbound = estimateFlightTime([[dep, homebase]], jet, rules, { date: returnDate || date });
+  if (!outbound || !inbound) return flights;
+  return [
+    { kind: 'positioning', from: homebase.ident, to: dep.ident, hours: outbound.block_time_h },
+    ...flights,
+    { kind: 'positioning', from: dep.ident, to: homebase.ident, hours: inbound.block_time_h }
+  ];
+}
+
+// flights: [{ kind: 'passenger' | 'empty_leg' | 'positioning', from, to, hours }].
+// I voli senza passeggeri contano comunque: il jet li vola per servire il viaggio
+export function estimateEmissions(jet, rules, flights, { pax = null } = {}) {
+  const burn = getFuelBurn(jet, rules);
+  if (!burn) return null;
+  const co2PerKgFuel = Number(rules.emissions?.co2_per_kg_fuel) || CO2_PER_KG_FUEL;
+
+  const detail = flights.filter(f => f.hours > 0).map((flight) => {
+    const fuel = flight.hours * burn.kg_per_hour;
+    return {
+      kind: flight.kind,
+      from: flight.from,
+      to: flight.to,
+      hours: Number(flight.hours.toFixed(2)),
+      fuel_kg: Math.round(fuel),
+      co2_kg: Math.round(fuel * co2PerKgFuel)
+    };
+  });
+
+  const sum = (list, key) => list.reduce((total, f) => total + f[key], 0);
+  const co2 = sum(detail, 'co2_kg');
+  const passengerCo2 = sum(detail.filter(f => f.kind === 'passenger'), 'co2_kg');
+
+  return {
+    fuel_burn_kg_per_hour: burn.kg_per_hour,
+    fuel_burn_source: burn.source,
+    co2_per_kg_fuel: co2PerKgFuel,
+    block_hours: Number(sum(detail, 'hours').toFixed(2)),
+    fuel_kg: sum(detail, 'fuel_kg'),
+    co2_kg: co2,
+    passenger_co2_kg: passengerCo2,
+    empty_co2_kg: co2 - passengerCo2,
+    co2_per_pax_kg: pax ? Math.round(co2 / pax) : null,
+    flights: detail
+  };
+}
+
+// Costo della compensazione nella valuta delle tariffe del jet (null senza prezzo per tonnellata)
+export function offsetCost(emissions, rules) {
+  const pricePerTonne = Number(rules.emissions?.offset_price_per_tonne);
+  if (!emissions || !(pricePerTonne > 0)) return null;
+  return emissions.co2_kg / 1000 * pricePerTonne;
+}
+
+// Voce di prezzo della compensazione, per le fees di buildPriceBreakdown (null senza prezzo configurato)
+export function offsetFee(emissions, rules) {
+  const cost = offsetCost(emissions, rules);
+  return cost !== null ? { code: 'carbon_offset', group: 'offset', amount: cost } : null;
+}
+
+// Stima per la risposta, con il costo della compensazione nella valuta del preventivo
+// e l'indicazione se è compreso nel prezzo
+export function describeEmissions(emissions, rules, { currency = null, included = false } = {}) {
+  if (!emissions) return null;
+  const cost = offsetCost(emissions, rules);
+  return {
+    ...emissions,
+    offset_price: cost !== null ? Math.round(cost * (currency?.rate ?? 1)) : null,
+    offset_included: cost !== null && included
+  };
+}
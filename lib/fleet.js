@@ -0,0 +1,173 @@
+import { supabase } from './supabase.js';
+import { getDistanceKm } from './flight.js';
+import { getJetRangeKm, FUEL_STOP_AIRPORT_TYPES } from './suitability.js';
+import { getAvailabilityStore, toTimestamp } from './availability.js';
+import { resolveRules } from './pricing-rules.js';
+import { cached, invalidateCache } from './cache.js';
+import { createGridIndex } from './spatial.js';
+import { isJetAllowed } from './api-keys.js';
+import { getAirportTimeZone } from './timezone.js';
+
+// Caricamento della flotta e dei dati collegati (homebase, scali tecnici, disponibilità) per i preventivi
+
+// Coordinate delle homebase: { ICAO: { lat, lon } }
+async function loadHomebases(jets) {
+  const uniqueHomebases = [...new Set(jets.map(j => j.homebase?.trim().toUpperCase()).filter(Boolean))].sort();
+
+  return await cached('homebases', uniqueHomebases.join(','), async () => {
+    const { data, error } = await supabase
+      .from('Airport 2')
+      .select('id, ident, latitude, longitude')
+      .in('ident', uniqueHomebases);
+    if (error) return { data: null, error };
+
+    const homebases = {};
+    data.forEach(a => {
+      homebases[a.ident.trim().toUpperCase()] = { lat: parseFloat(a.latitude), lon: parseFloat(a.longitude) };
+    });
+    return { data: homebases, error: null };
+  });
+}
+
+// Carica tutti i jet (dalla cache se possibile) e aggiunge le coordinate delle homebase alla mappa AIRPORTS
+export async function loadFleet(AIRPORTS) {
+  const { data: jets, error: jetError } = await cached('fleet', 'all', async () =>
+    await supabase.from('jet').select('*')
+  );
+  if (jetError) return { data: null, error: jetError };
+
+  const { data: homebases, error: baseError } = await loadHomebases(jets);
+  if (baseError) return { data: null, error: baseError };
+
+  Object.entries(homebases).forEach(([code, coords]) => {
+    AIRPORTS[code] = {
+      ...AIRPORTS[code],
+      ident: code,
+      ...coords
+    };
+  });
+
+  return { data: jets, error: null };
+}
+
+// Id dei jet che la chiave API può vedere e gestire (disponibilità, opzioni);
+// null se la chiave non ha restrizioni sugli operatori
+export async function loadAllowedJetIds(apiKey) {
+  const allowed = apiKey?.allowed_operator_ids;
+  if (!Array.isArray(allowed) || allowed.length === 0) return { data: null, error: null };
+
+  const { data: jets, error } = await loadFleet({});
+  if (error) return { data: null, error };
+  return { data: new Set(jets.filter(jet => isJetAllowed(apiKey, jet)).map(jet => String(jet.id))), error: null };
+}
+
+// Fuso orario della homebase del jet, per i blocchi a giornate intere (UTC se jet o base sconosciuti)
+export async function loadHomebaseTimeZone(jetId) {
+  const AIRPORTS = {};
+  const { data: jets, error } = await loadFleet(AIRPORTS);
+  if (error) return { data: null, error };
+  const homebase = jets.find(jet => String(jet.id) === String(jetId))?.homebase?.trim().toUpperCase();
+  return { data: homebase && AIRPORTS[homebase] ? getAirportTimeZone(AIRPORTS[homebase]) : 'UTC', error: null };
+}
+
+// Da chiamare quando cambia la tabella `jet` (modifiche alla flotta o homebase)
+export async function invalidateFleetCache() {
+  await invalidateCache('fleet');
+  await invalidateCache('homebases');
+}
+
+// Raggio di default se le regole non indicano homebase_radius_km
+export const DEFAULT_HOMEBASE_RADIUS_KM = 500;
+
+// Indice spaziale delle homebase per flotta caricata: si ricostruisce solo quando
+// cambia l'elenco dei jet (nuovo oggetto dalla cache dopo scadenza o invalidazione)
+const homebaseIndexes = new WeakMap();
+
+function getHomebaseIndex(jets, AIRPORTS) {
+  let index = homebaseIndexes.get(jets);
+  if (!index) {
+    index = createGridIndex(jets.map(jet => {
+      const base = AIRPORTS[jet.homebase?.trim().toUpperCase()];
+      return { jet, lat: base?.lat, lon: base?.lon };
+    }));
+    homebaseIndexes.set(jets, index);
+  }
+  return index;
+}
+
+// Raggio più ampio tra quelli delle regole (default, categorie, operatori, jet)
+function maxHomebaseRadius(ruleSet) {
+  const scopes = [ruleSet.default, ...['categories', 'operators', 'jets'].flatMap(g => Object.values(ruleSet[g] || {}))];
+  const radii = scopes.map(r => r?.homebase_radius_km).filter(Number.isFinite);
+  return radii.length > 0 ? Math.max(...radii) : DEFAULT_HOMEBASE_RADIUS_KM;
+}
+
+// Jet con homebase entro il raggio dall'aeroporto di partenza: quello della richiesta se indicato,
+// altrimenti quello delle regole del jet (default 500 km). Mantiene l'ordine della flotta
+export function filterJetsNearby(jets, AIRPORTS, dep, ruleSet, { radiusKm } = {}) {
+  const searchRadius = radiusKm ?? maxHomebaseRadius(ruleSet);
+  const nearby = new Map(
+    getHomebaseIndex(jets, AIRPORTS)
+      .within(dep.lat, dep.lon, searchRadius)
+      .map(({ item, distance_km }) => [item.jet, distance_km])
+  );
+
+  return jets.filter((jet) => {
+    if (!nearby.has(jet)) return false;
+    if (radiusKm != null) return true;
+    return nearby.get(jet) <= (resolveRules(ruleSet, jet).homebase_radius_km ?? DEFAULT_HOMEBASE_RADIUS_KM);
+  });
+}
+
+// Margine in gradi attorno alla rotta per cercare scali tecnici (cresce con la distanza
+// perché l'ortodromia sulle tratte lunghe si allontana molto dal rettangolo dei due aeroporti)
+const FUEL_STOP_SEARCH_MARGIN_DEG = 5;
+const FUEL_STOP_SEARCH_KM_PER_DEG = 300;
+
+// Carica i candidati scalo tecnico solo se almeno un jet non copre una delle tratte
+export async function loadFuelStopCandidates(jets, segments) {
+  const shortestRange = Math.min(...jets.map(getJetRangeKm).filter(Boolean));
+  const longestSegment = Math.max(...segments.map(([a, b]) => getDistanceKm(a.lat, a.lon, b.lat, b.lon)));
+  if (!isFinite(shortestRange) || longestSegment <= shortestRange) return { data: [], error: null };
+
+  const points = segments.flat();
+  const lats = points.map(p => p.lat);
+  const lons = points.map(p => p.lon);
+  const margin = Math.max(FUEL_STOP_SEARCH_MARGIN_DEG, longestSegment / FUEL_STOP_SEARCH_KM_PER_DEG);
+
+  const { data, error } = await supabase
+    .from('Airport 2')
+    .select('ident, name, type, latitude, longitude')
+    .in('type', FUEL_STOP_AIRPORT_TYPES)
+    .gte('latitude', Math.min(...lats) - margin)
+    .lte('latitude', Math.max(...lats) + margin)
+    .gte('longitude', Math.min(...lons) - margin)
+    .lte('longitude', Math.max(...lons) + margin);
+
+  if (error) return { data: null, error };
+
+  return {
+    data: data.map(a => ({
+      ident: a.ident.trim().toUpperCase(),
+      name: a.name,
+      type: a.type,
+      lat: parseFloat(a.latitude),
+      lon: parseFloat(a.longitude)
+    })),
+    error: null
+  };
+}
+
+// Carica i blocchi di disponibilità dei jet per l'intervallo di date del viaggio
+export async function loadAvailabilityBlocks(jets, firstDate, lastDate) {
+  const from = firstDate && toTimestamp(firstDate);
+  const to = lastDate && toTimestamp(lastDate);
+  if (!from || !to || jets.length === 0) return { data: [], error: null };
+
+  const DAY_MS = 1000 * 60 * 60 * 24;
+  return await getAvailabilityStore().list({
+    jetIds: jets.map(j => String(j.id)),
+    from: new Date(new Date(from).getTime() - DAY_MS).toISOString(),
+    to: new Date(new Date(to).getTime() + 2 * DAY_MS).toISOString()
+  });
+}
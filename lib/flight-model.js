@@ -0,0 +1,146 @@
+import { readFileSync } from 'fs';
+import { getDistanceKm, getJetKnots } from './flight.js';
+
+// Modello del tempo di volo: rotta per aerovie più lunga dell'ortodromia, salita e discesa a
+// velocità ridotta, rullaggio, e opzionalmente vento medio stagionale lungo la direzione della rotta.
+// I parametri arrivano dalle regole del jet (default ← categoria ← operatore ← jet):
+//   taxi_time_minutes, flight_profile: { airway_inflation_percent, airway_extra_km, climb_minutes,
+//   climb_speed_percent, descent_minutes, descent_speed_percent, seasonal_winds }
+
+const WINDS_FILE = new URL('../config/seasonal-winds.json', import.meta.url);
+const KMH_PER_KNOT = 1.852;
+
+// Velocità al suolo minima rispetto a quella all'aria, anche con venti contrari molto forti
+const MIN_GROUND_SPEED_RATIO = 0.5;
+
+let windsTable = null;
+
+function loadWindsTable() {
+  if (!windsTable) windsTable = JSON.parse(readFileSync(WINDS_FILE, 'utf8'));
+  return windsTable;
+}
+
+function toRadians(deg) {
+  return deg * Math.PI / 180;
+}
+
+function toDegrees(rad) {
+  return rad * 180 / Math.PI;
+}
+
+// Rotta iniziale ortodromica in gradi (0 = nord, 90 = est)
+export function getInitialBearing(lat1, lon1, lat2, lon2) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const deltaLambda = toRadians(lon2 - lon1);
+  const y = Math.sin(deltaLambda) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Punto medio dell'ortodromia
+function getMidpoint(from, to) {
+  const phi1 = toRadians(from.lat);
+  const phi2 = toRadians(to.lat);
+  const lambda1 = toRadians(from.lon);
+  const deltaLambda = toRadians(to.lon - from.lon);
+  const bx = Math.cos(phi2) * Math.cos(deltaLambda);
+  const by = Math.cos(phi2) * Math.sin(deltaLambda);
+  const lat = Math.atan2(Math.sin(phi1) + Math.sin(phi2), Math.sqrt((Math.cos(phi1) + bx) ** 2 + by ** 2));
+  const lon = lambda1 + Math.atan2(by, Math.cos(phi1) + bx);
+  return { lat: toDegrees(lat), lon: ((toDegrees(lon) + 540) % 360) - 180 };
+}
+
+// Vento medio stagionale alla latitudine e nel mese indicati: { season, from_deg, speed_kt }
+export function getSeasonalWind(lat, date) {
+  const table = loadWindsTable();
+  const month = (date ? new Date(`${date}T00:00:00Z`) : new Date()).getUTCMonth() + 1;
+  const season = Object.keys(table.seasons).find(key => table.seasons[key].includes(month));
+  const band = table.bands.find(b => lat >= b.min_lat && lat <= b.max_lat);
+  if (!season || !band) return null;
+  return { season, from_deg: band.from_deg, speed_kt: band.speed_kt[season] ?? 0 };
+}
+
+// Componente del vento lungo la rotta in nodi: positiva in coda, negativa contraria
+export function getWindComponentKt(wind, trackDeg) {
+  if (!wind) return 0;
+  const towardDeg = (wind.from_deg + 180) % 360;
+  return wind.speed_kt * Math.cos(toRadians(trackDeg - towardDeg));
+}
+
+// Tempo di una singola tratta (decollo → atterraggio) per il jet
+function estimateSegment(from, to, knots, profile, taxiHours, date) {
+  const greatCircle = getDistanceKm(from.lat, from.lon, to.lat, to.lon);
+  const routed = greatCircle * (1 + (profile.airway_inflation_percent || 0) / 100) + (profile.airway_extra_km || 0);
+  const airSpeed = knots * KMH_PER_KNOT;
+
+  let windKt = 0;
+  if (profile.seasonal_winds) {
+    const mid = getMidpoint(from, to);
+    const track = getInitialBearing(mid.lat, mid.lon, to.lat, to.lon);
+    windKt = getWindComponentKt(getSeasonalWind(mid.lat, date), track);
+  }
+  const groundSpeed = Math.max(airSpeed + windKt * KMH_PER_KNOT, airSpeed * MIN_GROUND_SPEED_RATIO);
+
+  // Salita e discesa coprono parte della rotta a velocità ridotta; sulle tratte brevi
+  // il jet non arriva in crociera e i due tempi si riducono in proporzione
+  let climbHours = (profile.climb_minutes || 0) / 60;
+  let descentHours = (profile.descent_minutes || 0) / 60;
+  const climbSpeed = groundSpeed * (profile.climb_speed_percent ?? 100) / 100;
+  const descentSpeed = groundSpeed * (profile.descent_speed_percent ?? 100) / 100;
+  const transitionKm = climbHours * climbSpeed + descentHours * descentSpeed;
+  if (transitionKm > routed) {
+    const scale = routed / transitionKm;
+    climbHours *= scale;
+    descentHours *= scale;
+  }
+  const cruiseKm = Math.max(0, routed - climbHours * climbSpeed - descentHours * descentSpeed);
+  const airHours = climbHours + descentHours + cruiseKm / groundSpeed;
+
+  return {
+    great_circle_km: greatCircle,
+    route_km: routed,
+    air_time_h: airHours,
+    taxi_time_h: taxiHours,
+    block_time_h: airHours + taxiHours,
+    wind_component_kt: windKt
+  };
+}
+
+// Tempo di volo per una rotta (una o più tratte, es. con scalo tecnico) del jet con le sue regole.
+// block_time_h è il tempo usato sia per gli orari (calculateArrivalTime) sia per i prezzi; null senza velocità
+export function estimateFlightTime(segments, jet, rules = {}, { date = null } = {}) {
+  const knots = getJetKnots(jet);
+  if (!knots || segments.length === 0) return null;
+
+  const profile = rules.flight_profile || {};
+  const taxiHours = (rules.taxi_time_minutes || 0) / 60;
+  const parts = segments.map(([from, to]) => estimateSegment(from, to, knots, profile, taxiHours, date));
+
+  const sum = (key) => parts.reduce((total, part) => total + part[key], 0);
+  const routeKm = sum('route_km');
+  const windKt = routeKm > 0
+    ? parts.reduce((total, part) => total + part.wind_component_kt * part.route_km, 0) / routeKm
+    : 0;
+
+  return {
+    block_time_h: sum('block_time_h'),
+    air_time_h: sum('air_time_h'),
+    taxi_time_h: sum('taxi_time_h'),
+    great_circle_km: Math.round(sum('great_circle_km')),
+    route_km: Math.round(routeKm),
+    wind_component_kt: profile.seasonal_winds ? Math.round(windKt) : null
+  };
+}
+
+// Riepilogo per la risposta
+export function describeFlightTime(estimate) {
+  if (!estimate) return null;
+  return {
+    route_km: estimate.route_km,
+    air_time_h: Number(estimate.air_time_h.toFixed(2)),
+    taxi_time_h: Number(estimate.taxi_time_h.toFixed(2)),
+    block_time_h: Number(estimate.block_time_h.toFixed(2)),
+    wind_component_kt: estimate.wind_component_kt
+  };
+}
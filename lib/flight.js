@@ -0,0 +1,45 @@
+// Funzioni comuni di calcolo volo (distanze, tempi, orari)
+
+export function getDistanceKm(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos((lat1 * Math.PI) / 180) *
+    Math.cos((lat2 * Math.PI) / 180) *
+    Math.sin(dLon / 2) ** 2;
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// Distanza di trasferimento a vuoto dalla homebase all'aeroporto di partenza (null se manca una delle due)
+export function getFerryDistanceKm(base, dep) {
+  if (!base || !dep || !Number.isFinite(base.lat) || !Number.isFinite(dep.lat)) return null;
+  return Math.round(getDistanceKm(base.lat, base.lon, dep.lat, dep.lon));
+}
+
+// Velocità di crociera del jet in nodi (null se mancante)
+export function getJetKnots(jet) {
+  const knots = jet.speed_knots || jet.speed || null;
+  return knots && knots > 0 ? knots : null;
+}
+
+// Tempo di volo in ore per una distanza in km
+export function getFlightTimeHours(distanceKm, knots) {
+  return distanceKm / (knots * 1.852);
+}
+
+// Formatta ore decimali come "1h 25min"
+export function formatFlightTime(flightTime) {
+  const hours = Math.floor(flightTime);
+  const minutes = Math.round((flightTime - hours) * 60);
+  return `${hours > 0 ? hours + 'h ' : ''}${minutes}min`;
+}
+
+// Calcola l'istante di arrivo stimato a partire dall'istante di partenza (arrotondato al minuto)
+export function calculateArrivalTime(departure, flightTimeHours) {
+  if (!departure || !Number.isFinite(flightTimeHours)) return null;
+  const MS_PER_MINUTE = 60 * 1000;
+  return new Date(Math.round((departure.getTime() + flightTimeHours * 60 * MS_PER_MINUTE) / MS_PER_MINUTE) * MS_PER_MINUTE);
+}
@@ -0,0 +1,129 @@
+import { getCacheStats } from './cache.js';
+
+// Controlli di salute: configurazione, raggiungibilità e latenza del database, coerenza dei dati
+// della flotta. I moduli che usano Supabase si importano solo a configurazione verificata:
+// il client Supabase fallisce già al caricamento se mancano URL o chiave
+
+export const REQUIRED_ENV = ['SUPABASE_URL', 'SUPABASE_KEY'];
+export const OPTIONAL_ENV = ['ADMIN_TOKEN', 'CACHE_ADMIN_TOKEN'];
+
+// Oltre questa latenza il database è considerato lento (stato degraded)
+export const SLOW_QUERY_MS = 1000;
+// Oltre questo tempo una query di controllo è considerata fallita
+export const CHECK_TIMEOUT_MS = 5000;
+// Jet elencati per ogni problema dei dati, gli altri sono solo contati
+const MAX_LISTED_JETS = 20;
+
+const startedAt = Date.now();
+
+// Stato complessivo: il peggiore tra quelli dei controlli
+const SEVERITY = { ok: 0, degraded: 1, fail: 2 };
+
+export function worstStatus(statuses) {
+  return statuses.reduce((worst, status) => (SEVERITY[status] > SEVERITY[worst] ? status : worst), 'ok');
+}
+
+// Versione in esecuzione: variabili di build di Vercel, APP_VERSION se impostata a mano
+export function getBuildInfo() {
+  return {
+    version: process.env.APP_VERSION || process.env.VERCEL_GIT_COMMIT_SHA?.slice(0, 7) || null,
+    commit: process.env.VERCEL_GIT_COMMIT_SHA || null,
+    branch: process.env.VERCEL_GIT_COMMIT_REF || null,
+    environment: process.env.VERCEL_ENV || process.env.NODE_ENV || null,
+    region: process.env.VERCEL_REGION || null,
+    node: process.version,
+    uptime_s: Math.round((Date.now() - startedAt) / 1000)
+  };
+}
+
+// Senza autenticazione solo lo stato: i nomi dei segreti non impostati direbbero a chiunque
+// quali endpoint sono senza protezione. Il dettaglio per variabile solo all'amministratore
+export function checkConfig({ detailed = false } = {}) {
+  const missing = REQUIRED_ENV.some(name => !process.env[name]);
+  const config = { status: missing ? 'fail' : 'ok' };
+  if (detailed) {
+    config.configured = Object.fromEntries(
+      [...REQUIRED_ENV, ...OPTIONAL_ENV].map(name => [name, Boolean(process.env[name])])
+    );
+  }
+  return config;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Nessuna risposta entro ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Una riga da ciascuna tabella essenziale, con il tempo di risposta
+async function checkTable(supabase, table, column) {
+  const started = Date.now();
+  try {
+    const { error } = await withTimeout(supabase.from(table).select(column).limit(1), CHECK_TIMEOUT_MS);
+    const latency = Date.now() - started;
+    if (error) return { status: 'fail', latency_ms: latency, error: error.message };
+    return { status: latency > SLOW_QUERY_MS ? 'degraded' : 'ok', latency_ms: latency };
+  } catch (error) {
+    return { status: 'fail', latency_ms: Date.now() - started, error: error.message };
+  }
+}
+
+export async function checkDatabase() {
+  const { supabase } = await import('./supabase.js');
+  const { AIRPORT_TABLE } = await import('./airports.js');
+  const tables = {
+    [AIRPORT_TABLE]: await checkTable(supabase, AIRPORT_TABLE, 'ident'),
+    jet: await checkTable(supabase, 'jet', 'id')
+  };
+  const results = Object.values(tables);
+  return {
+    status: worstStatus(results.map(t => t.status)),
+    latency_ms: Math.max(...results.map(t => t.latency_ms)),
+    tables
+  };
+}
+
+function listJets(jets) {
+  return { count: jets.length, jet_ids: jets.slice(0, MAX_LISTED_JETS).map(j => j.id) };
+}
+
+// Jet che non possono essere quotati correttamente: senza velocità, tariffa o posti,
+// o con una homebase che non esiste in `Airport 2` (il jet non verrebbe mai proposto)
+export async function checkFleetData() {
+  const { loadFleet } = await import('./fleet.js');
+  const { getJetKnots } = await import('./flight.js');
+
+  const homebases = {};
+  const { data: jets, error } = await withTimeout(loadFleet(homebases), CHECK_TIMEOUT_MS).catch(e => ({ data: null, error: e }));
+  if (error) return { status: 'fail', error: error.message };
+
+  const issues = {
+    missing_speed: listJets(jets.filter(j => !getJetKnots(j))),
+    missing_hourly_rate: listJets(jets.filter(j => !(Number(j.hourly_rate) > 0))),
+    missing_seats: listJets(jets.filter(j => !(Number(j.seats) > 0))),
+    unknown_homebase: listJets(jets.filter(j => !homebases[j.homebase?.trim().toUpperCase()]))
+  };
+  const problems = Object.values(issues).some(issue => issue.count > 0);
+
+  return { status: problems ? 'degraded' : 'ok', jets: jets.length, ...issues };
+}
+
+export function checkCache() {
+  return { status: 'ok', ...getCacheStats() };
+}
+
+// Readiness: il servizio può calcolare preventivi? fail = no (503), degraded = sì ma con problemi
+export async function checkReadiness({ detailed = false } = {}) {
+  const checks = { config: checkConfig({ detailed }) };
+  if (checks.config.status === 'ok') {
+    checks.database = await checkDatabase();
+    checks.data = checks.database.status === 'fail'
+      ? { status: 'fail', error: 'Database non raggiungibile' }
+      : await checkFleetData();
+  }
+  checks.cache = checkCache();
+
+  return { status: worstStatus(Object.values(checks).map(c => c.status)), checks };
+}
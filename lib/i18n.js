@@ -0,0 +1,153 @@
+// Messaggi di errore in italiano e inglese, scelti in base ad Accept-Language
+
+export const SUPPORTED_LOCALES = ['it', 'en'];
+export const DEFAULT_LOCALE = 'it';
+
+const MESSAGES = {
+  it: {
+    // Validazione
+    VALIDATION_ERROR: 'Richiesta non valida',
+    REQUIRED: 'Campo obbligatorio',
+    INVALID_TYPE: 'Tipo non valido: atteso {expected}',
+    INVALID_ENUM: 'Valore non ammesso: usare uno tra {allowed}',
+    TOO_SMALL: 'Valore troppo basso: minimo {minimum}',
+    TOO_LARGE: 'Valore troppo alto: massimo {maximum}',
+    TOO_SHORT: 'Testo troppo corto: almeno {minLength} caratteri',
+    TOO_LONG: 'Testo troppo lungo: massimo {maxLength} caratteri',
+    TOO_FEW_ITEMS: 'Servono almeno {minItems} elementi',
+    TOO_MANY_ITEMS: 'Ammessi al massimo {maxItems} elementi',
+    INVALID_FORMAT: 'Formato non valido',
+    TOO_MANY_QUOTES: 'Troppi preventivi in una richiesta: massimo {maximum}, date flessibili comprese',
+    INVALID_WINDOW: 'Intervallo non valido: indicare start/end ISO 8601 con end successivo a start, oppure date/end_date (YYYY-MM-DD)',
+    INVALID_RANGE: "Intervallo non valido: la data finale precede quella iniziale",
+    RANGE_TOO_LONG: 'Intervallo troppo lungo: al massimo {maximum} giorni',
+
+    // Date e orari
+    INVALID_DATE: 'Data non valida o formato non riconosciuto',
+    DATE_IN_PAST: 'La data è nel passato',
+    RETURN_BEFORE_DEPARTURE: 'La data di ritorno è precedente a quella di partenza',
+    LEG_BEFORE_PREVIOUS: 'La data della tratta è precedente a quella della tratta precedente',
+    INVALID_TIME: 'Orario non valido o formato non riconosciuto',
+
+    // Aeroporti
+    AIRPORT_NOT_FOUND: 'Codice aeroporto sconosciuto',
+    AMBIGUOUS_AIRPORT: 'Aeroporto ambiguo: specificare quale si intende',
+
+    // Valute
+    UNSUPPORTED_CURRENCY: 'Valuta non supportata: usare una tra {supported}',
+
+    // Disponibilità e opzioni
+    BLOCK_NOT_FOUND: 'Blocco non trovato',
+    HOLD_NOT_FOUND: 'Opzione non trovata',
+    HOLD_CONFLICT: "Jet non disponibile nell'intervallo richiesto",
+
+    // Preventivi
+    QUOTE_NOT_FOUND: 'Preventivo non trovato',
+    QUOTE_NOT_OPEN: 'Il preventivo non è più aperto (stato: {status})',
+    QUOTE_EXPIRED: 'Il preventivo è scaduto',
+    QUOTE_JET_NOT_FOUND: 'Il jet indicato non fa parte del preventivo',
+    JET_UNSUITABLE: 'Il jet non è più proponibile per questo viaggio',
+    JET_NOT_PRICED: 'Il jet non ha un prezzo in questo preventivo',
+    NO_SCHEDULE: 'Il preventivo non ha date e orari dei voli: impossibile creare il calendario',
+    PRICE_CHANGED: 'Il prezzo è cambiato: da {quoted_price} a {current_price}',
+
+    // Operatori e flotta
+    OPERATOR_NOT_FOUND: 'Operatore non trovato',
+    OPERATOR_HAS_JETS: "L'operatore ha ancora {jets} jet in flotta",
+    JET_NOT_FOUND: 'Jet non trovato',
+
+    // Generici
+    UNAUTHORIZED: 'Autenticazione mancante o non valida',
+    FORBIDDEN: 'Operazione non consentita con queste credenziali',
+    RATE_LIMITED: 'Troppe richieste: massimo {limit} al minuto',
+    QUOTA_EXCEEDED: 'Quota esaurita ({period}): usati {used} preventivi su {quota}',
+    API_KEY_NOT_FOUND: 'Chiave API non trovata',
+    PRICING_PROFILE_NOT_FOUND: 'Profilo di prezzo sconosciuto',
+    METHOD_NOT_ALLOWED: 'Metodo non consentito',
+    DATABASE_ERROR: 'Errore di accesso ai dati',
+    INTERNAL_ERROR: 'Errore interno del server'
+  },
+  en: {
+    VALIDATION_ERROR: 'Invalid request',
+    REQUIRED: 'Field is required',
+    INVALID_TYPE: 'Invalid type: expected {expected}',
+    INVALID_ENUM: 'Value not allowed: use one of {allowed}',
+    TOO_SMALL: 'Value too low: minimum {minimum}',
+    TOO_LARGE: 'Value too high: maximum {maximum}',
+    TOO_SHORT: 'Text too short: at least {minLength} characters',
+    TOO_LONG: 'Text too long: at most {maxLength} characters',
+    TOO_FEW_ITEMS: 'At least {minItems} items are required',
+    TOO_MANY_ITEMS: 'At most {maxItems} items are allowed',
+    INVALID_FORMAT: 'Invalid format',
+    TOO_MANY_QUOTES: 'Too many quotes in one request: at most {maximum}, flexible dates included',
+    INVALID_WINDOW: 'Invalid interval: provide ISO 8601 start/end with end after start, or date/end_date (YYYY-MM-DD)',
+    INVALID_RANGE: 'Invalid range: the end date is before the start date',
+    RANGE_TOO_LONG: 'Range too long: at most {maximum} days',
+
+    INVALID_DATE: 'Invalid or unrecognised date',
+    DATE_IN_PAST: 'The date is in the past',
+    RETURN_BEFORE_DEPARTURE: 'The return date is before the departure date',
+    LEG_BEFORE_PREVIOUS: 'The leg date is before the previous leg',
+    INVALID_TIME: 'Invalid or unrecognised time',
+
+    AIRPORT_NOT_FOUND: 'Unknown airport',
+    AMBIGUOUS_AIRPORT: 'Ambiguous airport: please specify which one you mean',
+
+    UNSUPPORTED_CURRENCY: 'Unsupported currency: use one of {supported}',
+
+    BLOCK_NOT_FOUND: 'Block not found',
+    HOLD_NOT_FOUND: 'Hold not found',
+    HOLD_CONFLICT: 'Jet not available in the requested interval',
+
+    QUOTE_NOT_FOUND: 'Quote not found',
+    QUOTE_NOT_OPEN: 'The quote is no longer open (status: {status})',
+    QUOTE_EXPIRED: 'The quote has expired',
+    QUOTE_JET_NOT_FOUND: 'The jet is not part of the quote',
+    JET_UNSUITABLE: 'The jet is no longer suitable for this trip',
+    JET_NOT_PRICED: 'The jet has no price in this quote',
+    NO_SCHEDULE: 'The quote has no flight dates and times: cannot create the calendar',
+    PRICE_CHANGED: 'The price has changed: from {quoted_price} to {current_price}',
+
+    OPERATOR_NOT_FOUND: 'Operator not found',
+    OPERATOR_HAS_JETS: 'The operator still has {jets} jets in its fleet',
+    JET_NOT_FOUND: 'Jet not found',
+
+    UNAUTHORIZED: 'Missing or invalid credentials',
+    FORBIDDEN: 'Operation not allowed with these credentials',
+    RATE_LIMITED: 'Too many requests: at most {limit} per minute',
+    QUOTA_EXCEEDED: 'Quota exhausted ({period}): {used} of {quota} quotes used',
+    API_KEY_NOT_FOUND: 'API key not found',
+    PRICING_PROFILE_NOT_FOUND: 'Unknown pricing profile',
+    METHOD_NOT_ALLOWED: 'Method not allowed',
+    DATABASE_ERROR: 'Data access error',
+    INTERNAL_ERROR: 'Internal server error'
+  }
+};
+
+// Prima lingua supportata nell'header Accept-Language, in ordine di preferenza (q)
+export function getLocale(req) {
+  const header = req?.headers?.['accept-language'];
+  if (!header) return DEFAULT_LOCALE;
+
+  const ranked = String(header)
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { lang: tag.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(entry => entry.lang && entry.q > 0)
+    .sort((a, b) => (b.q - a.q) || (a.index - b.index));
+
+  return ranked.find(entry => SUPPORTED_LOCALES.includes(entry.lang))?.lang || DEFAULT_LOCALE;
+}
+
+// Messaggio localizzato per il codice, con segnaposto {nome} sostituiti dai parametri
+export function translate(code, locale = DEFAULT_LOCALE, params = {}) {
+  const template = MESSAGES[locale]?.[code] ?? MESSAGES[DEFAULT_LOCALE][code] ?? code;
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined) return match;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
@@ -0,0 +1,268 @@
+import {
+  getFerryDistanceKm,
+  getJetKnots,
+  formatFlightTime,
+  calculateArrivalTime
+} from './flight.js';
+import { getAirportTimeZone, zonedDateTimeToInstant, toLocalTime, toLocalIso, localDaysBetween } from './timezone.js';
+import { resolveReferenceDate, addHours, TURNAROUND_H } from './schedule.js';
+import { checkCapacity, planRoute, isSuitable, FUEL_STOP_GROUND_TIME_H } from './suitability.js';
+import { flightWindow, spanWindows, findConflicts, availabilityIssue } from './availability.js';
+import { buildPriceBreakdown, sumItems } from './pricing.js';
+import { estimateFlightTime, describeFlightTime } from './flight-model.js';
+import { estimateEmissions, offsetFee, describeEmissions } from './emissions.js';
+
+// Prezzi per tratta, sosta e gruppo ricavati dal dettaglio (anche dopo il ricarico di un profilo).
+// legs e stopovers nell'ordine dei riferimenti `ref` delle voci
+export function itineraryPrices(breakdown, legs, stopovers) {
+  return {
+    legs: legs.map((leg, ref) => ({
+      ...leg,
+      price: sumItems(breakdown, i => i.group !== 'stopover' && i.ref === ref)
+    })),
+    stopovers: stopovers.map((stopover, ref) => {
+      const parking = sumItems(breakdown, i => i.code === 'parking' && i.ref === ref);
+      const overnight = sumItems(breakdown, i => i.code === 'crew_overnight' && i.ref === ref);
+      return { ...stopover, parking_cost: parking, overnight_cost: overnight, total: parking + overnight };
+    }),
+    positioning_price: sumItems(breakdown, i => i.group === 'positioning'),
+    legs_price: sumItems(breakdown, i => i.group === 'legs'),
+    stopover_price: sumItems(breakdown, i => i.group === 'stopover'),
+    total_price: breakdown.total,
+    price_breakdown: breakdown
+  };
+}
+
+// Normalizza l'array `legs` della richiesta: ogni tratta eredita data, orario e pax di default
+export function normalizeLegs(legs, defaults = {}) {
+  return legs.map((leg, index) => ({
+    index,
+    from: leg?.from || leg?.departure || '',
+    to: leg?.to || leg?.arrival || '',
+    date: leg?.date || null,
+    time: leg?.time || defaults.time || '12:00',
+    pax: leg?.pax || defaults.pax || 4
+  }));
+}
+
+// Costruisce la sequenza di voli del jet: posizionamenti dalla base, tratte passeggeri, rientro alla base
+function buildFlights(homebase, legs) {
+  const flights = [];
+
+  legs.forEach((leg, i) => {
+    const previousEnd = i === 0 ? homebase : legs[i - 1].to_icao;
+    if (previousEnd && previousEnd !== leg.from_icao) {
+      flights.push({ type: 'positioning', from: previousEnd, to: leg.from_icao, date: leg.date, time: null, pax: 0 });
+    }
+    flights.push({ type: 'passenger', leg_index: leg.index, from: leg.from_icao, to: leg.to_icao, date: leg.date, time: leg.time, pax: leg.pax });
+  });
+
+  const lastLeg = legs[legs.length - 1];
+  if (homebase && lastLeg.to_icao !== homebase) {
+    flights.push({ type: 'positioning', from: lastLeg.to_icao, to: homebase, date: lastLeg.date, time: null, pax: 0 });
+  }
+
+  return flights;
+}
+
+// Orari reali dei voli: le tratte passeggeri partono all'ora locale richiesta,
+// i posizionamenti arrivano un turnaround prima o partono un turnaround dopo
+function scheduleFlights(flights, airports, issues) {
+  flights.forEach((flight) => {
+    if (flight.type !== 'passenger') return;
+    const timeZone = getAirportTimeZone(airports[flight.from]);
+    flight.departure = zonedDateTimeToInstant(resolveReferenceDate(flight.date, timeZone), flight.time, timeZone);
+    flight.arrival = calculateArrivalTime(flight.departure, flight.block_time_h);
+  });
+
+  for (let i = flights.length - 1; i >= 0; i--) {
+    const flight = flights[i];
+    const next = flights[i + 1];
+    if (flight.type === 'positioning' && next?.departure) {
+      flight.arrival = addHours(next.departure, -TURNAROUND_H);
+      flight.departure = addHours(flight.arrival, -flight.block_time_h);
+    }
+  }
+
+  flights.forEach((flight, i) => {
+    const previous = flights[i - 1];
+    if (flight.type === 'positioning' && !flight.departure && previous?.arrival) {
+      flight.departure = addHours(previous.arrival, TURNAROUND_H);
+      flight.arrival = calculateArrivalTime(flight.departure, flight.block_time_h);
+    }
+  });
+
+  // Una tratta non può partire prima che il jet sia arrivato e pronto
+  const passengerFlights = flights.filter(f => f.type === 'passenger');
+  for (let i = 1; i < passengerFlights.length; i++) {
+    const earliest = addHours(passengerFlights[i - 1].arrival, TURNAROUND_H);
+    if (passengerFlights[i].departure < earliest) {
+      issues.push({
+        code: 'LEG_TOO_EARLY',
+        message: 'La tratta parte prima che il jet sia arrivato e pronto',
+        leg: passengerFlights[i].leg_index,
+        earliest_departure: earliest.toISOString()
+      });
+    }
+  }
+}
+
+// Volo per la risposta: orari locali e ISO 8601 con scostamento del fuso di ciascun aeroporto
+function describeFlight({ time, hours, block_time_h, departure, arrival, ...flight }, airports) {
+  const fromTimeZone = getAirportTimeZone(airports[flight.from]);
+  const toTimeZone = getAirportTimeZone(airports[flight.to]);
+  return {
+    ...flight,
+    departure_time: departure ? toLocalTime(departure, fromTimeZone) : null,
+    arrival_time: arrival ? toLocalTime(arrival, toTimeZone) : null,
+    departure_at: departure ? toLocalIso(departure, fromTimeZone) : null,
+    arrival_at: arrival ? toLocalIso(arrival, toTimeZone) : null
+  };
+}
+
+// Prezza un itinerario multi-tratta per un singolo jet con le regole già risolte per quel jet.
+// carbonOffset: il costo della compensazione delle emissioni entra nel prezzo
+export function priceItinerary(jet, legs, airports, { rules, fuelStopCandidates = [], availabilityBlocks = [], ignoreHoldId = null, currency = null, carbonOffset = false } = {}) {
+  const homebase = jet.homebase?.trim().toUpperCase();
+  const knots = getJetKnots(jet);
+
+  const summary = {
+    jet_id: jet.id,
+    model: jet.name || null,
+    category: jet.category || null,
+    seats: jet.seats || null,
+    operator: jet.operator || null,
+    logo: jet.logo_url || null,
+    image: jet.image_url || null,
+    home_base: jet.homebase,
+    ferry_distance_km: getFerryDistanceKm(airports[homebase], airports[legs[0]?.from_icao]),
+    trip_type: 'multileg',
+    currency: currency?.code || null,
+    exchange_rate: currency?.conversion || null
+  };
+
+  const issues = [];
+  if (currency?.issue) issues.push(currency.issue);
+  const capacityIssue = checkCapacity(jet, Math.max(...legs.map(l => l.pax)));
+  if (capacityIssue) issues.push(capacityIssue);
+
+  if (!knots) {
+    issues.push({ code: 'MISSING_SPEED', message: 'Velocità mancante o non valida' });
+    return {
+      ...summary,
+      suitable: false,
+      issues,
+      legs: [],
+      stopovers: [],
+      positioning_price: null,
+      legs_price: null,
+      stopover_price: null,
+      total_price: null,
+      emissions: null,
+      warning: 'Velocità mancante o non valida',
+    };
+  }
+
+  const flights = buildFlights(homebase, legs).map((flight) => {
+    const from = airports[flight.from];
+    const to = airports[flight.to];
+    const route = from && to
+      ? planRoute(from, to, jet, fuelStopCandidates)
+      : { distance: 0, segments: [], fuel_stop: null, issue: null };
+    if (route.issue) issues.push({ ...route.issue, from: flight.from, to: flight.to });
+
+    // Tempo di volo dal modello, usato per orari e prezzi
+    const estimate = estimateFlightTime(route.segments, jet, rules, { date: flight.date });
+    const flightTime = estimate?.block_time_h ?? 0;
+    const blockTime = flightTime + (route.fuel_stop ? FUEL_STOP_GROUND_TIME_H : 0);
+
+    return {
+      ...flight,
+      block_time_h: blockTime,
+      distance_km: Math.round(route.distance),
+      fuel_stop: route.fuel_stop,
+      flight_time_h: flightTime.toFixed(2),
+      flight_time_pretty: formatFlightTime(flightTime),
+      flight_profile: describeFlightTime(estimate),
+      hours: flightTime
+    };
+  });
+
+  scheduleFlights(flights, airports, issues);
+
+  // Il jet resta a disposizione dal primo all'ultimo volo passeggeri (soste comprese)
+  const window = spanWindows(flights
+    .filter(f => f.type === 'passenger' && f.date)
+    .map(f => flightWindow(f.departure, f.block_time_h)));
+  if (window) {
+    const unavailable = availabilityIssue(findConflicts(availabilityBlocks, jet.id, [window], { ignoreHoldId }));
+    if (unavailable) issues.push(unavailable);
+  }
+
+  // Tratta impossibile anche con scalo tecnico: nessun prezzo
+  if (issues.some(issue => issue.code === 'OUT_OF_RANGE')) {
+    return {
+      ...summary,
+      suitable: false,
+      issues,
+      legs: flights.map(flight => ({ ...describeFlight(flight, airports), price: null })),
+      stopovers: [],
+      positioning_price: null,
+      legs_price: null,
+      stopover_price: null,
+      total_price: null,
+      emissions: null
+    };
+  }
+
+  // Soste: notti locali tra l'arrivo di una tratta e la partenza della successiva
+  const passengerFlights = flights.filter(f => f.type === 'passenger');
+  const stopovers = [];
+  for (let i = 1; i < passengerFlights.length; i++) {
+    const previous = passengerFlights[i - 1];
+    const next = passengerFlights[i];
+    const timeZone = getAirportTimeZone(airports[previous.to]);
+    const nights = localDaysBetween(previous.arrival, next.departure, timeZone);
+    if (nights > 0) {
+      stopovers.push({
+        at: previous.to,
+        from: toLocalIso(previous.arrival, timeZone),
+        to: toLocalIso(next.departure, timeZone),
+        nights
+      });
+    }
+  }
+
+  // Emissioni di tutti i voli, posizionamenti dalla e verso la homebase compresi
+  const emissions = estimateEmissions(jet, rules, flights.map(flight => ({
+    kind: flight.type,
+    from: flight.from,
+    to: flight.to,
+    hours: flight.hours
+  })), { pax: Math.max(...legs.map(l => l.pax)) });
+  const offset = carbonOffset ? offsetFee(emissions, rules) : null;
+
+  const breakdown = buildPriceBreakdown(jet, rules, {
+    flights: flights.map((flight, ref) => ({
+      kind: flight.type,
+      group: flight.type === 'positioning' ? 'positioning' : 'legs',
+      ref,
+      from: flight.from,
+      to: flight.to,
+      via: flight.fuel_stop?.icao,
+      date: flight.date,
+      hours: flight.hours
+    })),
+    stopovers: stopovers.map((stopover, ref) => ({ group: 'stopover', ref, at: stopover.at, nights: stopover.nights })),
+    fees: offset ? [offset] : [],
+    currency
+  });
+
+  return {
+    ...summary,
+    suitable: isSuitable(issues),
+    issues,
+    ...itineraryPrices(breakdown, flights.map(flight => describeFlight(flight, airports)), stopovers),
+    emissions: describeEmissions(emissions, rules, { currency, included: Boolean(offset) })
+  };
+}
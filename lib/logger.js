@@ -0,0 +1,132 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+// Log strutturati: una riga JSON per evento con livello, messaggio, ID della richiesta e campi.
+// L'ID viene da X-Request-Id (se valido) o è generato, ed è rimandato nello stesso header,
+// così una segnalazione del client si ritrova nei log. Livello minimo da LOG_LEVEL (default info)
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const DEFAULT_LOG_LEVEL = 'info';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Campi con dati personali o segreti: il valore non finisce mai nei log
+const REDACTED_KEYS = /(e-?mail|phone|telefono|first_?name|last_?name|full_?name|customer|passenger|contact|note|reference|authorization|api[-_]?key|token|password|secret)/i;
+const EMAIL_PATTERN = /[^\s@"]+@[^\s@"]+\.[^\s@"]+/g;
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 6;
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function minimumLevel() {
+  const level = String(process.env.LOG_LEVEL || DEFAULT_LOG_LEVEL).toLowerCase();
+  return LOG_LEVELS.includes(level) ? level : DEFAULT_LOG_LEVEL;
+}
+
+// Errori (anche quelli di Supabase, oggetti semplici) in forma serializzabile; lo stack solo per gli Error
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  return { name: error.name, message: error.message, ...(error.code ? { code: error.code } : {}), stack: error.stack };
+}
+
+// Copia del valore senza dati personali: chiavi sensibili oscurate, indirizzi email nel testo sostituiti
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return value.replace(EMAIL_PATTERN, REDACTED);
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[...]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    REDACTED_KEYS.test(key) && item != null ? REDACTED : redact(item, depth + 1)
+  ]));
+}
+
+function write(level, message, fields = {}) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minimumLevel())) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...requestContext.getStore()?.fields,
+    ...redact(fields)
+  };
+  const line = JSON.stringify(entry);
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+export const log = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+// ID della richiesta corrente (null fuori da una richiesta)
+export function getRequestId() {
+  return requestContext.getStore()?.fields.request_id ?? null;
+}
+
+// Campi aggiunti a tutte le righe successive della richiesta (es. la chiave API)
+export function addLogContext(fields) {
+  const store = requestContext.getStore();
+  if (store) Object.assign(store.fields, fields);
+}
+
+// Cronometro in millisecondi
+export function startTimer() {
+  const started = performance.now();
+  return () => Math.round(performance.now() - started);
+}
+
+function requestIdFrom(req) {
+  const incoming = req.headers?.['x-request-id'];
+  return typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+}
+
+// Avvolge un handler: ID della richiesta nell'header e nei log, riga finale con esito e durata.
+// La query string resta fuori dal percorso registrato (può contenere testo libero)
+export function withRequestLog(handler) {
+  return async function loggedHandler(req, res) {
+    const requestId = requestIdFrom(req);
+    const elapsed = startTimer();
+    res.setHeader(REQUEST_ID_HEADER, requestId);
+
+    return await requestContext.run({ fields: { request_id: requestId } }, async () => {
+      try {
+        return await handler(req, res);
+      } finally {
+        const status = res.statusCode;
+        write(status >= 500 ? 'error' : 'info', 'Richiesta completata', {
+          method: req.method,
+          path: String(req.url || '').split('?')[0],
+          status,
+          duration_ms: elapsed()
+        });
+      }
+    });
+  };
+}
+
+// Tempi per fase di un calcolo: step(nome) chiude la fase in corso, finish() aggiunge il totale
+export function createStepTimer() {
+  const timings = {};
+  const total = startTimer();
+  let phase = startTimer();
+
+  return {
+    step(name) {
+      timings[`${name}_ms`] = phase();
+      phase = startTimer();
+    },
+
+    finish() {
+      return { ...timings, total_ms: total() };
+    }
+  };
+}
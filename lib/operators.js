@@ -0,0 +1,179 @@
+import { randomUUID } from 'node:crypto';
+import { supabase } from './supabase.js';
+
+// Operatori e relativa flotta: tabella `operators` (id, name, contact_email, logo_url, active,
+// token_hash, created_at) e tabella `jet` con operator_id / operator
+export const OPERATORS_TABLE = 'operators';
+export const JET_TABLE = 'jet';
+
+// Campi del jet modificabili dagli operatori
+export const JET_FIELDS = [
+  'name',
+  'category',
+  'seats',
+  'speed_knots',
+  'hourly_rate',
+  'homebase',
+  'range_km',
+  'parking_cost_per_day',
+  'crew_overnight_cost',
+  'fuel_burn_kg_per_hour',
+  'currency',
+  'image_url',
+  'logo_url'
+];
+
+function firstRow({ data, error }) {
+  if (error) return { data: null, error };
+  return { data: data[0] || null, error: null };
+}
+
+// Storage su Supabase
+export function createSupabaseOperatorStore(client = supabase) {
+  return {
+    async list() {
+      return await client.from(OPERATORS_TABLE).select('*').order('name');
+    },
+
+    async get(id) {
+      return firstRow(await client.from(OPERATORS_TABLE).select('*').eq('id', id).limit(1));
+    },
+
+    async findByTokenHash(tokenHash) {
+      return firstRow(await client.from(OPERATORS_TABLE).select('*').eq('token_hash', tokenHash).limit(1));
+    },
+
+    async create(operator) {
+      return firstRow(await client.from(OPERATORS_TABLE).insert(operator).select());
+    },
+
+    async update(id, changes) {
+      return firstRow(await client.from(OPERATORS_TABLE).update(changes).eq('id', id).select());
+    },
+
+    async remove(id) {
+      return firstRow(await client.from(OPERATORS_TABLE).delete().eq('id', id).select());
+    },
+
+    async listJets({ operatorId } = {}) {
+      let query = client.from(JET_TABLE).select('*');
+      if (operatorId !== undefined) query = query.eq('operator_id', operatorId);
+      return await query.order('id');
+    },
+
+    async getJet(id) {
+      return firstRow(await client.from(JET_TABLE).select('*').eq('id', id).limit(1));
+    },
+
+    async createJet(jet) {
+      return firstRow(await client.from(JET_TABLE).insert(jet).select());
+    },
+
+    async updateJet(id, changes) {
+      return firstRow(await client.from(JET_TABLE).update(changes).eq('id', id).select());
+    },
+
+    async removeJet(id) {
+      return firstRow(await client.from(JET_TABLE).delete().eq('id', id).select());
+    }
+  };
+}
+
+// Storage in memoria con la stessa interfaccia, per i test e lo sviluppo locale
+export function createMemoryOperatorStore({ operators: initialOperators = [], jets: initialJets = [] } = {}) {
+  const operators = initialOperators.map(o => ({ ...o }));
+  const jets = initialJets.map(j => ({ ...j }));
+  let nextJetId = Math.max(0, ...jets.map(j => Number(j.id) || 0)) + 1;
+
+  const same = (a, b) => String(a) === String(b);
+  const copy = (row) => (row ? { ...row } : null);
+
+  return {
+    async list() {
+      return { data: [...operators].sort((a, b) => String(a.name).localeCompare(String(b.name))).map(copy), error: null };
+    },
+
+    async get(id) {
+      return { data: copy(operators.find(o => same(o.id, id))), error: null };
+    },
+
+    async findByTokenHash(tokenHash) {
+      return { data: copy(operators.find(o => o.token_hash === tokenHash)), error: null };
+    },
+
+    async create(operator) {
+      const created = { id: randomUUID(), created_at: new Date().toISOString(), active: true, ...operator };
+      operators.push(created);
+      return { data: copy(created), error: null };
+    },
+
+    async update(id, changes) {
+      const operator = operators.find(o => same(o.id, id));
+      if (!operator) return { data: null, error: null };
+      Object.assign(operator, changes);
+      return { data: copy(operator), error: null };
+    },
+
+    async remove(id) {
+      const index = operators.findIndex(o => same(o.id, id));
+      if (index === -1) return { data: null, error: null };
+      return { data: operators.splice(index, 1)[0], error: null };
+    },
+
+    async listJets({ operatorId } = {}) {
+      const data = jets.filter(j => operatorId === undefined || same(j.operator_id, operatorId));
+      return { data: data.map(copy), error: null };
+    },
+
+    async getJet(id) {
+      return { data: copy(jets.find(j => same(j.id, id))), error: null };
+    },
+
+    async createJet(jet) {
+      const created = { id: nextJetId++, ...jet };
+      jets.push(created);
+      return { data: copy(created), error: null };
+    },
+
+    async updateJet(id, changes) {
+      const jet = jets.find(j => same(j.id, id));
+      if (!jet) return { data: null, error: null };
+      Object.assign(jet, changes);
+      return { data: copy(jet), error: null };
+    },
+
+    async removeJet(id) {
+      const index = jets.findIndex(j => same(j.id, id));
+      if (index === -1) return { data: null, error: null };
+      return { data: jets.splice(index, 1)[0], error: null };
+    }
+  };
+}
+
+let store = null;
+
+// Storage corrente (Supabase di default, sostituibile con setOperatorStore)
+export function getOperatorStore() {
+  if (!store) store = createSupabaseOperatorStore();
+  return store;
+}
+
+export function setOperatorStore(newStore) {
+  store = newStore;
+}
+
+// Operatore senza l'hash del token
+export function publicOperator({ token_hash, ...operator }) {
+  return operator;
+}
+
+// Solo i campi modificabili, con homebase e valuta normalizzate
+export function pickJetFields(input) {
+  const jet = {};
+  for (const field of JET_FIELDS) {
+    if (input[field] !== undefined) jet[field] = input[field];
+  }
+  if (jet.homebase) jet.homebase = jet.homebase.trim().toUpperCase();
+  if (jet.currency) jet.currency = jet.currency.toUpperCase();
+  return jet;
+}
@@ -0,0 +1,85 @@
+import { readFileSync } from 'fs';
+import { supabase } from './supabase.js';
+import { log } from './logger.js';
+
+// Regole di prezzo: file di default + override dalla tabella Supabase `pricing_rules`
+// (colonne: scope = 'default' | 'category' | 'operator' | 'jet', scope_key, rules jsonb)
+export const PRICING_RULES_TABLE = 'pricing_rules';
+
+const RULES_FILE = new URL('../config/pricing-rules.json', import.meta.url);
+const RULES_CACHE_EXPIRY = 1000 * 60 * 5; // 5 minuti
+
+const SCOPE_GROUPS = {
+  category: 'categories',
+  operator: 'operators',
+  jet: 'jets'
+};
+
+let rulesCache = null;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge ricorsivo: gli oggetti si fondono, valori scalari e array vengono sostituiti
+export function mergeRules(base, override) {
+  if (!isPlainObject(override)) return base;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base?.[key])
+      ? mergeRules(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+export function loadRulesFile() {
+  return JSON.parse(readFileSync(RULES_FILE, 'utf8'));
+}
+
+// Converte le righe della tabella nello stesso formato del file
+export function rowsToRuleSet(rows) {
+  const ruleSet = { default: {}, categories: {}, operators: {}, jets: {} };
+  for (const row of rows) {
+    if (row.scope === 'default') {
+      ruleSet.default = mergeRules(ruleSet.default, row.rules);
+    } else if (SCOPE_GROUPS[row.scope] && row.scope_key != null) {
+      const group = ruleSet[SCOPE_GROUPS[row.scope]];
+      group[row.scope_key] = mergeRules(group[row.scope_key] || {}, row.rules);
+    }
+  }
+  return ruleSet;
+}
+
+// Carica le regole (file + tabella), con cache in memoria
+export async function loadPricingRules({ force = false } = {}) {
+  if (!force && rulesCache && (Date.now() - rulesCache.timestamp) < RULES_CACHE_EXPIRY) {
+    return rulesCache.data;
+  }
+
+  let ruleSet = loadRulesFile();
+
+  try {
+    const { data, error } = await supabase.from(PRICING_RULES_TABLE).select('scope, scope_key, rules');
+    if (error) {
+      log.warn('Tabella non disponibile, uso solo il file', { table: PRICING_RULES_TABLE, error: error.message });
+    } else if (data && data.length > 0) {
+      ruleSet = mergeRules(ruleSet, rowsToRuleSet(data));
+    }
+  } catch (error) {
+    log.warn('Errore nel caricamento delle regole di prezzo, uso solo il file', { error: error.message });
+  }
+
+  rulesCache = { data: ruleSet, timestamp: Date.now() };
+  return ruleSet;
+}
+
+// Regole effettive per un jet: default ← categoria ← operatore ← jet
+export function resolveRules(ruleSet, jet) {
+  let rules = ruleSet.default || {};
+  if (jet.category) rules = mergeRules(rules, ruleSet.categories?.[jet.category]);
+  if (jet.operator_id != null) rules = mergeRules(rules, ruleSet.operators?.[jet.operator_id]);
+  if (jet.operator) rules = mergeRules(rules, ruleSet.operators?.[jet.operator]);
+  if (jet.id != null) rules = mergeRules(rules, ruleSet.jets?.[jet.id]);
+  return rules;
+}
@@ -0,0 +1,170 @@
+// Motore di prezzo: applica le regole risolte per il jet e restituisce il dettaglio voce per voce
+
+export const ITEM_LABELS = {
+  flight: 'Volo',
+  empty_leg: 'Rientro a vuoto',
+  positioning: 'Posizionamento',
+  same_day_premium: 'Supplemento A/R in giornata',
+  next_day_premium: 'Supplemento A/R giorno successivo',
+  overnight_fee: 'Pernottamento equipaggio e jet',
+  parking: 'Parcheggio',
+  crew_overnight: 'Pernottamento equipaggio',
+  landing_fee: 'Tasse di atterraggio',
+  handling_fee: 'Handling',
+  weekend_surcharge: 'Supplemento weekend',
+  peak_season_surcharge: 'Supplemento alta stagione',
+  carbon_offset: 'Compensazione emissioni CO2',
+  vat: 'IVA'
+};
+
+const FLIGHT_CODES = ['flight', 'empty_leg', 'positioning'];
+
+// Voci addebitate al costo, escluse dal ricarico dei profili di prezzo
+const PASS_THROUGH_CODES = ['carbon_offset'];
+
+// Ore fatturabili: block time dal modello di volo (rullaggio compreso), con minimo fatturabile sui voli passeggeri
+export function billableHours(flight, rules) {
+  return flight.kind === 'passenger' ? Math.max(flight.hours, rules.min_billable_hours || 0) : flight.hours;
+}
+
+function airportFees(rules, icao) {
+  return { landing: 0, handling: 0, ...rules.airport_fees?.default, ...rules.airport_fees?.[icao] };
+}
+
+function isWeekend(rules, date) {
+  const weekend = rules.surcharges?.weekend;
+  if (!weekend?.percent) return false;
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return (weekend.days || [0, 6]).includes(day);
+}
+
+// Stagione di punta che contiene la data (intervalli MM-DD, anche a cavallo d'anno)
+function findPeakSeason(rules, date) {
+  const monthDay = date.slice(5, 10);
+  return (rules.surcharges?.peak_seasons || []).find((season) => {
+    if (!season.percent) return false;
+    return season.from <= season.to
+      ? monthDay >= season.from && monthDay <= season.to
+      : monthDay >= season.from || monthDay <= season.to;
+  }) || null;
+}
+
+function isValidDate(date) {
+  return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date);
+}
+
+function item(code, fields) {
+  return { code, label: ITEM_LABELS[code] || code, ...fields };
+}
+
+// flights:   [{ kind: 'passenger' | 'empty_leg' | 'positioning', group, ref, from, to, via, date, hours, factor }]
+// stopovers: [{ group, ref, at, nights }]
+// premium:   { code, percent, group } applicato al totale dei voli
+// fees:      [{ code, group, amount }] voci fisse
+// currency:  { code, rate } valuta del preventivo e cambio dalla valuta del jet (tariffe e importi fissi)
+export function buildPriceBreakdown(jet, rules, { flights = [], stopovers = [], premium = null, fees = [], currency = null }) {
+  const rate = Number(jet.hourly_rate) || 0;
+  const items = [];
+
+  for (const flight of flights) {
+    const hours = billableHours(flight, rules);
+    const amount = rate * hours * (flight.factor ?? 1);
+    const code = flight.kind === 'passenger' ? 'flight' : flight.kind;
+    const common = { group: flight.group, ref: flight.ref, date: flight.date || null };
+
+    items.push(item(code, { ...common, from: flight.from, to: flight.to, hours: Number(hours.toFixed(2)), amount }));
+
+    if (isValidDate(flight.date)) {
+      if (isWeekend(rules, flight.date)) {
+        const percent = rules.surcharges.weekend.percent;
+        items.push(item('weekend_surcharge', { ...common, percent, amount: amount * percent / 100 }));
+      }
+      const season = findPeakSeason(rules, flight.date);
+      if (season) {
+        items.push(item('peak_season_surcharge', { ...common, season: season.name || null, percent: season.percent, amount: amount * season.percent / 100 }));
+      }
+    }
+
+    // Tasse aeroportuali solo dove scendono o salgono passeggeri, più l'eventuale scalo tecnico
+    if (flight.kind === 'passenger') {
+      const origin = airportFees(rules, flight.from);
+      const destination = airportFees(rules, flight.to);
+      if (destination.landing) items.push(item('landing_fee', { ...common, airport: flight.to, amount: destination.landing }));
+      if (origin.handling) items.push(item('handling_fee', { ...common, airport: flight.from, amount: origin.handling }));
+      if (destination.handling) items.push(item('handling_fee', { ...common, airport: flight.to, amount: destination.handling }));
+    }
+    if (flight.via) {
+      const stop = airportFees(rules, flight.via);
+      if (stop.landing) items.push(item('landing_fee', { ...common, airport: flight.via, amount: stop.landing }));
+      if (stop.handling) items.push(item('handling_fee', { ...common, airport: flight.via, amount: stop.handling }));
+    }
+  }
+
+  if (premium?.percent) {
+    const base = items.filter(i => FLIGHT_CODES.includes(i.code)).reduce((sum, i) => sum + i.amount, 0);
+    items.push(item(premium.code, { group: premium.group, percent: premium.percent, amount: base * premium.percent / 100 }));
+  }
+
+  for (const fee of fees) {
+    if (fee.amount) items.push(item(fee.code, { group: fee.group, amount: fee.amount }));
+  }
+
+  for (const stopover of stopovers) {
+    const parkingPerDay = jet.parking_cost_per_day ?? rules.parking_cost_per_day ?? 0;
+    const crewPerNight = jet.crew_overnight_cost ?? rules.crew_overnight_cost ?? 0;
+    const common = { group: stopover.group, ref: stopover.ref, airport: stopover.at, nights: stopover.nights };
+    if (parkingPerDay) items.push(item('parking', { ...common, amount: parkingPerDay * stopover.nights }));
+    if (crewPerNight) items.push(item('crew_overnight', { ...common, amount: crewPerNight * stopover.nights }));
+  }
+
+  // Conversione prima dell'arrotondamento, così ogni voce è arrotondata nella valuta finale
+  const exchangeRate = currency?.rate ?? 1;
+  const rounded = items.map(i => ({ ...i, amount: Math.round(i.amount * exchangeRate) }));
+  const net = rounded.reduce((sum, i) => sum + i.amount, 0);
+  const vatPercent = rules.vat_percent || 0;
+  const vat = Math.round(net * vatPercent / 100);
+  if (vat) rounded.push(item('vat', { group: null, percent: vatPercent, amount: vat }));
+
+  return {
+    currency: currency?.code || null,
+    items: rounded,
+    net,
+    vat_percent: vatPercent,
+    vat,
+    total: net + vat
+  };
+}
+
+// Somma delle voci che soddisfano il filtro (es. per gruppo o riferimento)
+export function sumItems(breakdown, predicate) {
+  return breakdown.items
+    .filter(i => i.code !== 'vat' && predicate(i))
+    .reduce((sum, i) => sum + i.amount, 0);
+}
+
+// Dettaglio con un nuovo imponibile (es. il prezzo del profilo del client): la differenza è
+// ripartita sulle voci in proporzione all'importo, così nessuna voce mostra il netto dell'operatore
+// né il margine, e l'IVA è ricalcolata sul nuovo imponibile. Gli importi restano interi
+export function restateBreakdown(breakdown, net) {
+  const items = breakdown.items.filter(i => i.code !== 'vat');
+  const priced = items.filter(i => !PASS_THROUGH_CODES.includes(i.code));
+  const targets = priced.length > 0 ? priced : items;
+  const base = targets.reduce((sum, i) => sum + i.amount, 0);
+  const difference = net - breakdown.net;
+
+  const shares = new Map(targets.map(i => [i, base ? difference * i.amount / base : difference / targets.length]));
+  const floors = new Map([...shares].map(([i, share]) => [i, Math.floor(share)]));
+  // Resti dell'arrotondamento alle voci con la parte decimale più alta
+  let remainder = difference - [...floors.values()].reduce((sum, amount) => sum + amount, 0);
+  for (const [i] of [...shares].sort((a, b) => (b[1] - Math.floor(b[1])) - (a[1] - Math.floor(a[1])))) {
+    if (remainder <= 0) break;
+    floors.set(i, floors.get(i) + 1);
+    remainder--;
+  }
+
+  const restated = items.map(i => floors.has(i) ? { ...i, amount: i.amount + floors.get(i) } : i);
+  const vat = Math.round(net * breakdown.vat_percent / 100);
+  if (vat) restated.push(item('vat', { group: null, percent: breakdown.vat_percent, amount: vat }));
+
+  return { ...breakdown, items: restated, net, vat, total: net + vat };
+}
@@ -0,0 +1,155 @@
+import { readFileSync } from 'fs';
+import { supabase } from './supabase.js';
+import { getConversion, DEFAULT_CURRENCY } from './currency.js';
+import { restateBreakdown } from './pricing.js';
+import { tripPrices } from './trip.js';
+import { itineraryPrices } from './itinerary.js';
+import { log } from './logger.js';
+
+// Profili di prezzo per client (broker, partner white-label): ricarico percentuale e/o fisso,
+// arrotondamento, prezzo minimo e campi da non esporre nelle risposte.
+// File di default + tabella Supabase `pricing_profiles` (la tabella vince per id):
+//   id, name, currency, markup_percent, markup_fixed, round_to, rounding ('up' | 'down' | 'nearest'),
+//   minimum_price, hidden_fields (array di campi del jet),
+//   branding (marchio dei documenti per il cliente: name, color, logo_url, website, email, footer)
+// Importi fissi e minimo sono nella valuta del profilo e vengono convertiti in quella del preventivo
+export const PRICING_PROFILES_TABLE = 'pricing_profiles';
+
+export const ROUNDING_MODES = ['up', 'down', 'nearest'];
+
+// Campi ad uso interno (prezzo netto dell'operatore e ricarico): mai esposti ai client con un profilo
+export const INTERNAL_FIELDS = ['net_price', 'markup'];
+
+const PROFILES_FILE = new URL('../config/pricing-profiles.json', import.meta.url);
+const PROFILES_CACHE_EXPIRY = 1000 * 60 * 5; // 5 minuti
+
+let profilesCache = null;
+
+function normalizeProfile(id, profile) {
+  return {
+    id,
+    name: profile.name || id,
+    currency: String(profile.currency || DEFAULT_CURRENCY).toUpperCase(),
+    markup_percent: Number(profile.markup_percent) || 0,
+    markup_fixed: Number(profile.markup_fixed) || 0,
+    round_to: Number(profile.round_to) || 0,
+    rounding: ROUNDING_MODES.includes(profile.rounding) ? profile.rounding : 'nearest',
+    minimum_price: Number(profile.minimum_price) || 0,
+    hidden_fields: Array.isArray(profile.hidden_fields) ? profile.hidden_fields : [],
+    branding: profile.branding && typeof profile.branding === 'object' ? profile.branding : null
+  };
+}
+
+export function loadProfilesFile() {
+  const file = JSON.parse(readFileSync(PROFILES_FILE, 'utf8'));
+  return Object.fromEntries(
+    Object.entries(file.profiles || {}).map(([id, profile]) => [id, normalizeProfile(id, profile)])
+  );
+}
+
+// Carica i profili (file + tabella), con cache in memoria
+export async function loadPricingProfiles({ force = false } = {}) {
+  if (!force && profilesCache && (Date.now() - profilesCache.timestamp) < PROFILES_CACHE_EXPIRY) {
+    return profilesCache.data;
+  }
+
+  const profiles = loadProfilesFile();
+
+  try {
+    const { data, error } = await supabase.from(PRICING_PROFILES_TABLE).select('*');
+    if (error) {
+      log.warn('Tabella non disponibile, uso solo il file', { table: PRICING_PROFILES_TABLE, error: error.message });
+    } else {
+      for (const row of data || []) {
+        if (row.id != null) profiles[String(row.id)] = normalizeProfile(String(row.id), row);
+      }
+    }
+  } catch (error) {
+    log.warn('Errore nel caricamento dei profili di prezzo, uso solo il file', { error: error.message });
+  }
+
+  profilesCache = { data: profiles, timestamp: Date.now() };
+  return profiles;
+}
+
+function roundPrice(amount, { round_to: step, rounding }) {
+  if (!step) return Math.round(amount);
+  const round = rounding === 'up' ? Math.ceil : rounding === 'down' ? Math.floor : Math.round;
+  // Tolleranza per i residui della virgola mobile (es. 5000.0000001 non va a 5100)
+  return round(Number((amount / step).toFixed(6))) * step;
+}
+
+// Prezzo per il client a partire dal netto dell'operatore (imponibile, IVA esclusa), nella valuta
+// del preventivo. Senza tasso di cambio per la valuta del profilo si applica solo la percentuale
+export function applyProfileMarkup(net, profile, currency, rateTable) {
+  const conversion = getConversion(rateTable, profile.currency, currency);
+  const rate = conversion?.rate ?? 0;
+  const marked = net * (1 + profile.markup_percent / 100) + profile.markup_fixed * rate;
+  return roundPrice(Math.max(marked, profile.minimum_price * rate), profile);
+}
+
+// Risultato di un jet con il prezzo del profilo: ricarico, minimo e arrotondamento sull'imponibile,
+// poi l'IVA. Il ricarico è ripartito sulle voci del dettaglio e sui prezzi per tratta, così il client
+// non vede né il netto né il margine; netto e ricarico restano in net_price e markup (campi interni)
+export function applyPricingProfile(result, profile, rateTable) {
+  if (!profile || result.total_price === null || result.total_price === undefined) return result;
+
+  const breakdown = result.price_breakdown;
+  const net = breakdown ? breakdown.net : result.total_price;
+  const price = applyProfileMarkup(net, profile, result.currency || DEFAULT_CURRENCY, rateTable);
+  const restated = breakdown && restateBreakdown(breakdown, price);
+  const prices = !restated
+    ? { total_price: price }
+    : Array.isArray(result.legs)
+      ? itineraryPrices(restated, result.legs, result.stopovers)
+      : tripPrices(restated, result.trip_type);
+
+  return {
+    ...result,
+    ...prices,
+    net_price: result.total_price,
+    markup: { profile: profile.id, amount: price - net, percent: profile.markup_percent, fixed: profile.markup_fixed }
+  };
+}
+
+// Campi che rivelano la homebase oltre a home_base: distanza di trasferimento, voli di posizionamento
+// (tratte, voci del dettaglio, emissioni). Nascosti insieme a home_base
+const HOMEBASE_FIELDS = ['ferry_distance_km'];
+
+// Voli di posizionamento senza l'aeroporto della base né la distanza, da cui si risalirebbe alla base
+function hideHomebase(result) {
+  const base = String(result.home_base || '').trim().toUpperCase();
+  if (!base) return result;
+  const isBase = code => String(code || '').trim().toUpperCase() === base;
+  const redact = (flight) => {
+    if (!isBase(flight.from) && !isBase(flight.to)) return flight;
+    const { distance_km, ...rest } = flight;
+    return { ...rest, from: isBase(flight.from) ? null : flight.from, to: isBase(flight.to) ? null : flight.to };
+  };
+
+  return {
+    ...result,
+    ...(Array.isArray(result.legs) ? { legs: result.legs.map(leg => leg.type === 'positioning' ? redact(leg) : leg) } : {}),
+    ...(result.price_breakdown ? {
+      price_breakdown: {
+        ...result.price_breakdown,
+        items: result.price_breakdown.items.map(item => item.code === 'positioning' ? redact(item) : item)
+      }
+    } : {}),
+    ...(result.emissions ? {
+      emissions: {
+        ...result.emissions,
+        flights: result.emissions.flights.map(flight => flight.kind === 'positioning' ? redact(flight) : flight)
+      }
+    } : {})
+  };
+}
+
+// Jet come lo vede il client: senza i campi interni né quelli nascosti dal profilo
+export function exposeJet(result, profile) {
+  if (!profile) return result;
+  const hidesBase = profile.hidden_fields.includes('home_base');
+  const hidden = new Set([...INTERNAL_FIELDS, ...profile.hidden_fields, ...(hidesBase ? HOMEBASE_FIELDS : [])]);
+  const visible = hidesBase ? hideHomebase(result) : result;
+  return Object.fromEntries(Object.entries(visible).filter(([field]) => !hidden.has(field)));
+}
@@ -0,0 +1,87 @@
+import { quoteFlights } from './quotes.js';
+
+// Calendario iCalendar (RFC 5545) con un evento per ogni volo passeggeri del jet scelto.
+// Orari in UTC: ogni applicazione di calendario li mostra nel fuso dell'utente
+
+const PRODUCT_ID = '-//Jet Pricing API//Preventivi//IT';
+const MAX_LINE_OCTETS = 75;
+
+// Testo con i caratteri speciali di iCalendar protetti
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Righe lunghe spezzate a 75 byte, senza dividere i caratteri UTF-8
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// 2026-06-01T10:30:00+02:00 -> 20260601T083000Z
+function toUtcStamp(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function airportLabel(code, name) {
+  return name ? `${name} (${code})` : code;
+}
+
+// Calendario dei voli; null se nessun volo ha data e orari (preventivo senza date)
+export function buildQuoteCalendar(quote, jet, { brandName = null, now = new Date() } = {}) {
+  const flights = quoteFlights(quote, jet).filter(f => f.departure_at && f.arrival_at);
+  if (flights.length === 0) return null;
+
+  const aircraft = [jet.model, jet.operator].filter(Boolean).join(' - ');
+  const confirmed = quote.status === 'accepted' && String(quote.accepted_jet_id) === String(jet.jet_id);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${brandName ? `${brandName} - ` : ''}Preventivo ${quote.id}`)}`
+  ];
+
+  flights.forEach((flight, index) => {
+    const description = [
+      `Preventivo ${quote.id}`,
+      aircraft && `Jet: ${aircraft}`,
+      `Passeggeri: ${flight.pax}`,
+      flight.flight_time && `Tempo di volo: ${flight.flight_time}`,
+      flight.via && `Scalo tecnico: ${flight.via}`,
+      `Partenza ${flight.departure_time} ora locale, arrivo ${flight.arrival_time} ora locale`
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${quote.id}-${jet.jet_id}-${index}@jet-pricing-api`,
+      `DTSTAMP:${toUtcStamp(now)}`,
+      `DTSTART:${toUtcStamp(flight.departure_at)}`,
+      `DTEND:${toUtcStamp(flight.arrival_at)}`,
+      `SUMMARY:${escapeText(`Volo ${flight.from} - ${flight.to}${jet.model ? ` (${jet.model})` : ''}`)}`,
+      `LOCATION:${escapeText(airportLabel(flight.from, flight.from_name))}`,
+      `DESCRIPTION:${escapeText(`${airportLabel(flight.from, flight.from_name)} - ${airportLabel(flight.to, flight.to_name)}\n${description}`)}`,
+      // Confermato solo se il preventivo è stato accettato con questo jet
+      `STATUS:${confirmed ? 'CONFIRMED' : 'TENTATIVE'}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,413 @@
+import { readFileSync } from 'fs';
+import { request } from 'node:https';
+import { lookup } from 'node:dns';
+import { BlockList, isIP } from 'node:net';
+import PDFDocument from 'pdfkit';
+import { quoteFlights } from './quotes.js';
+import { log } from './logger.js';
+
+// PDF del preventivo per il cliente, generato in locale con pdfkit: marchio, tratta, orari,
+// jet con foto e logo dell'operatore, prezzo voce per voce ed emissioni.
+// Il marchio viene da config/branding.json, sostituibile per profilo di prezzo (campo branding)
+
+const BRANDING_FILE = new URL('../config/branding.json', import.meta.url);
+
+// Immagini remote: solo https verso indirizzi pubblici, JPEG o PNG, entro tempo (redirect compresi)
+// e dimensione massimi. Gli URL li impostano gli operatori: senza questi limiti il server
+// scaricherebbe da indirizzi interni (SSRF)
+const IMAGE_TIMEOUT_MS = 3000;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGE_REDIRECTS = 3;
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+// Indirizzi non pubblici: rete locale, loopback, link-local (metadati cloud), multicast, riservati
+// e NAT64. Le regole IPv4 valgono anche per gli stessi indirizzi mappati in IPv6 (::ffff:127.0.0.1)
+const PRIVATE_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const REGULAR = 'Helvetica';
+const BOLD = 'Helvetica-Bold';
+const TEXT_COLOR = '#1F2933';
+const MUTED_COLOR = '#616E7C';
+const LINE_COLOR = '#D9E2EC';
+const ROW_HEIGHT = 18;
+const FOOTER_HEIGHT = 60;
+
+const TRIP_TYPE_LABELS = {
+  oneway: 'Solo andata',
+  roundtrip: 'Andata e ritorno',
+  multileg: 'Multi-tratta'
+};
+
+const STATUS_LABELS = {
+  open: 'Aperto',
+  accepted: 'Accettato',
+  expired: 'Scaduto'
+};
+
+const FLIGHT_ITEMS = ['flight', 'empty_leg', 'positioning'];
+
+// Marchio dei documenti: default del file, con le voci del profilo del client che le sostituiscono
+export function loadBranding(profile = null) {
+  const defaults = JSON.parse(readFileSync(BRANDING_FILE, 'utf8'));
+  return { ...defaults, ...profile?.branding };
+}
+
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (!family) return true;
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Risoluzione DNS che rifiuta gli indirizzi non pubblici. È quella usata per la connessione:
+// un DNS che cambia risposta tra un controllo e il download non aggira il blocco
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(new Error(`Indirizzo non pubblico: ${blocked.address}`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// URL ammesso per un'immagine; null se non https o verso un indirizzo IP non pubblico
+function parseImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'https:') return null;
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host) && isPrivateAddress(host)) return null;
+  return parsed;
+}
+
+// Una richiesta senza seguire i redirect: { redirect } con la destinazione, { body } con
+// l'immagine, null se la risposta non è un'immagine accettabile
+function requestImage(url, signal) {
+  return new Promise((resolve, reject) => {
+    const req = request(url, { lookup: publicLookup, signal, headers: { accept: IMAGE_TYPES.join(', ') } }, (response) => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        return resolve({ redirect: new URL(headers.location, url).href });
+      }
+
+      const type = headers['content-type']?.split(';')[0].trim().toLowerCase();
+      if (statusCode !== 200 || !IMAGE_TYPES.includes(type) || Number(headers['content-length']) > MAX_IMAGE_BYTES) {
+        response.destroy();
+        return resolve(null);
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_IMAGE_BYTES) {
+          response.destroy();
+          return resolve(null);
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ body: Buffer.concat(chunks) }));
+      response.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Immagine remota per il PDF; null se assente, non ammessa, non raggiungibile, troppo grande o di
+// altro tipo. I redirect si seguono a mano, verificando ogni destinazione
+export async function fetchImage(url) {
+  if (typeof url !== 'string') return null;
+  const signal = AbortSignal.timeout(IMAGE_TIMEOUT_MS);
+  try {
+    let target = url;
+    for (let redirects = 0; redirects <= MAX_IMAGE_REDIRECTS; redirects++) {
+      const parsed = parseImageUrl(target);
+      if (!parsed) return null;
+
+      const result = await requestImage(parsed, signal);
+      if (!result?.redirect) return result?.body ?? null;
+      target = result.redirect;
+    }
+    return null;
+  } catch (error) {
+    log.warn('Immagine non disponibile per il PDF', { url, error: error.message });
+    return null;
+  }
+}
+
+function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) return '—';
+  if (!currency) return Math.round(amount).toLocaleString('it-IT');
+  return new Intl.NumberFormat('it-IT', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+}
+
+function formatNumber(value, digits = 0) {
+  return Number(value).toLocaleString('it-IT', { maximumFractionDigits: digits });
+}
+
+// 2026-06-01T10:30:00+02:00 -> 01/06/2026 (data locale dell'aeroporto)
+function formatDate(iso) {
+  if (!iso) return 'Da definire';
+  const [year, month, day] = iso.slice(0, 10).split('-');
+  return `${day}/${month}/${year}`;
+}
+
+function formatTimestamp(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString('it-IT', { timeZone: 'Europe/Rome', dateStyle: 'short', timeStyle: 'short' });
+}
+
+function airportLabel(code, name) {
+  return name ? `${name} (${code})` : code;
+}
+
+// Dettaglio di una voce di prezzo (tratta e ore, aeroporto, percentuale, notti).
+// Con la homebase nascosta dal profilo i posizionamenti hanno un estremo null
+function itemDetail(item) {
+  if (FLIGHT_ITEMS.includes(item.code)) return `${item.from || 'Base'} – ${item.to || 'Base'} · ${formatNumber(item.hours, 2)} h`;
+  if (item.nights) return `${item.airport} · ${item.nights} ${item.nights === 1 ? 'notte' : 'notti'}`;
+  if (item.airport) return item.airport;
+  if (item.percent) return `${formatNumber(item.percent, 2)}%`;
+  return '';
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+// Nuova pagina se lo spazio che resta sopra il piè di pagina non basta
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom - FOOTER_HEIGHT) doc.addPage();
+}
+
+function sectionTitle(doc, title, branding) {
+  ensureSpace(doc, 50);
+  doc.moveDown(1.2);
+  doc.font(BOLD).fontSize(12).fillColor(branding.color).text(title.toUpperCase(), doc.page.margins.left, doc.y, { characterSpacing: 0.5 });
+  const y = doc.y + 3;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.margins.left + contentWidth(doc), y).lineWidth(0.5).strokeColor(LINE_COLOR).stroke();
+  doc.y = y + 6;
+}
+
+// Riga di tabella: columns [{ width, align }], larghezze in frazioni della pagina utile
+function tableRow(doc, cells, columns, { bold = false, color = TEXT_COLOR, size = 10 } = {}) {
+  ensureSpace(doc, ROW_HEIGHT);
+  const y = doc.y;
+  let x = doc.page.margins.left;
+  doc.font(bold ? BOLD : REGULAR).fontSize(size).fillColor(color);
+  cells.forEach((cell, index) => {
+    const width = columns[index].width * contentWidth(doc);
+    doc.text(String(cell ?? ''), x, y, { width: width - 6, height: ROW_HEIGHT, align: columns[index].align || 'left', ellipsis: true });
+    x += width;
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = y + ROW_HEIGHT;
+}
+
+function drawHeader(doc, quote, branding, logo) {
+  const height = 90;
+  doc.rect(0, 0, doc.page.width, height).fill(branding.color);
+
+  const left = doc.page.margins.left;
+  let drawn = false;
+  if (logo) {
+    try {
+      doc.image(logo, left, 20, { fit: [160, 50], valign: 'center' });
+      drawn = true;
+    } catch (error) {
+      log.warn('Logo non utilizzabile nel PDF', { error: error.message });
+    }
+  }
+  if (!drawn) doc.font(BOLD).fontSize(22).fillColor('#FFFFFF').text(branding.name || '', left, 32, { width: 280 });
+
+  const right = { width: 220, align: 'right' };
+  const rightX = doc.page.width - doc.page.margins.right - right.width;
+  doc.font(BOLD).fontSize(16).fillColor('#FFFFFF').text('Preventivo', rightX, 24, right);
+  doc.font(REGULAR).fontSize(9).fillColor(branding.accent_color || '#FFFFFF')
+    .text(`N. ${quote.id}`, rightX, doc.y + 2, right)
+    .text(`Emesso il ${formatTimestamp(quote.created_at)}`, rightX, doc.y, right);
+
+  doc.x = left;
+  doc.y = height + 25;
+}
+
+function drawRoute(doc, quote, flights) {
+  const input = quote.input || {};
+  const first = flights[0];
+  const last = flights[flights.length - 1];
+  const destination = input.trip_type === 'roundtrip' ? first : last;
+  const route = first
+    ? `${airportLabel(first.from, first.from_name)} – ${airportLabel(destination.to, destination.to_name)}`
+    : '';
+
+  doc.font(BOLD).fontSize(17).fillColor(TEXT_COLOR).text(route, { width: contentWidth(doc) });
+  doc.moveDown(0.3);
+
+  const pax = input.pax ?? Math.max(...flights.map(f => f.pax || 0));
+  const status = STATUS_LABELS[quote.status] || quote.status;
+  doc.font(REGULAR).fontSize(10).fillColor(MUTED_COLOR).text([
+    TRIP_TYPE_LABELS[input.trip_type] || input.trip_type,
+    `${pax} ${pax === 1 ? 'passeggero' : 'passeggeri'}`,
+    `Stato: ${status}`,
+    `Valido fino al ${formatTimestamp(quote.valid_until)}`
+  ].join('   ·   '));
+}
+
+function drawSchedule(doc, flights, branding) {
+  sectionTitle(doc, 'Programma dei voli', branding);
+  const columns = [{ width: 0.36 }, { width: 0.16 }, { width: 0.15 }, { width: 0.15 }, { width: 0.18, align: 'right' }];
+  tableRow(doc, ['Tratta', 'Data', 'Partenza', 'Arrivo', 'Durata'], columns, { bold: true, color: MUTED_COLOR, size: 9 });
+
+  for (const flight of flights) {
+    // Arrivo in un giorno diverso da quello di partenza (date locali dei due aeroporti)
+    const nextDay = flight.departure_at && flight.arrival_at && flight.arrival_at.slice(0, 10) !== flight.departure_at.slice(0, 10);
+    tableRow(doc, [
+      `${flight.from} – ${flight.to}${flight.via ? ` (via ${flight.via})` : ''}`,
+      formatDate(flight.departure_at),
+      flight.departure_time || '—',
+      flight.arrival_time ? `${flight.arrival_time}${nextDay ? ` (${formatDate(flight.arrival_at)})` : ''}` : '—',
+      flight.flight_time || '—'
+    ], columns);
+  }
+
+  doc.font(REGULAR).fontSize(8).fillColor(MUTED_COLOR).text('Orari nell\'ora locale di ciascun aeroporto.', doc.page.margins.left, doc.y + 4);
+}
+
+function drawAircraft(doc, jet, branding, image, operatorLogo) {
+  sectionTitle(doc, 'Aeromobile', branding);
+  const imageWidth = 210;
+  const imageHeight = 130;
+  ensureSpace(doc, imageHeight);
+  const top = doc.y;
+  const left = doc.page.margins.left;
+
+  if (image) {
+    try {
+      doc.image(image, left + contentWidth(doc) - imageWidth, top, { fit: [imageWidth, imageHeight], align: 'right' });
+    } catch (error) {
+      log.warn('Immagine del jet non utilizzabile nel PDF', { error: error.message });
+    }
+  }
+
+  const textWidth = contentWidth(doc) - (image ? imageWidth + 20 : 0);
+  doc.font(BOLD).fontSize(14).fillColor(TEXT_COLOR).text(jet.model || 'Jet privato', left, top, { width: textWidth });
+  doc.moveDown(0.3);
+  const details = [
+    jet.category && `Categoria: ${jet.category.replace(/_/g, ' ')}`,
+    jet.seats && `Posti: ${jet.seats}`,
+    jet.operator && `Operatore: ${jet.operator}`,
+    jet.flight_time_pretty && `Tempo di volo: ${jet.flight_time_pretty}`
+  ].filter(Boolean);
+  doc.font(REGULAR).fontSize(10).fillColor(TEXT_COLOR);
+  for (const line of details) doc.text(line, { width: textWidth });
+
+  if (operatorLogo) {
+    try {
+      doc.image(operatorLogo, left, doc.y + 8, { fit: [100, 36] });
+      doc.y += 44;
+    } catch (error) {
+      log.warn('Logo dell\'operatore non utilizzabile nel PDF', { error: error.message });
+    }
+  }
+
+  doc.x = left;
+  doc.y = Math.max(doc.y, image ? top + imageHeight : doc.y);
+}
+
+function drawPrice(doc, jet, branding, currency) {
+  sectionTitle(doc, 'Prezzo', branding);
+  const columns = [{ width: 0.42 }, { width: 0.36 }, { width: 0.22, align: 'right' }];
+
+  // Senza dettaglio (nascosto dal profilo del client) solo il totale
+  const items = jet.price_breakdown?.items || [];
+  for (const item of items) {
+    tableRow(doc, [item.label, itemDetail(item), formatMoney(item.amount, currency)], columns);
+  }
+
+  ensureSpace(doc, ROW_HEIGHT + 10);
+  const y = doc.y + 4;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.margins.left + contentWidth(doc), y).lineWidth(1).strokeColor(branding.accent_color || branding.color).stroke();
+  doc.y = y + 6;
+  tableRow(doc, ['Totale', '', formatMoney(jet.total_price, currency)], columns, { bold: true, size: 12 });
+}
+
+function drawEmissions(doc, emissions, currency, branding) {
+  if (!emissions) return;
+  sectionTitle(doc, 'Emissioni stimate', branding);
+  const lines = [
+    `CO2: ${formatNumber(emissions.co2_kg / 1000, 1)} t (${formatNumber(emissions.fuel_kg)} kg di carburante, voli di posizionamento compresi)`,
+    emissions.co2_per_pax_kg && `Per passeggero: ${formatNumber(emissions.co2_per_pax_kg)} kg`,
+    emissions.offset_price != null && (emissions.offset_included
+      ? `Compensazione delle emissioni inclusa nel prezzo (${formatMoney(emissions.offset_price, currency)})`
+      : `Compensazione delle emissioni disponibile su richiesta: ${formatMoney(emissions.offset_price, currency)}`)
+  ].filter(Boolean);
+  doc.font(REGULAR).fontSize(10).fillColor(TEXT_COLOR);
+  for (const line of lines) doc.text(line, doc.page.margins.left, doc.y, { width: contentWidth(doc) });
+}
+
+// Piè di pagina su ogni pagina, alla fine (le pagine sono bufferizzate)
+function drawFooters(doc, branding) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - bottom - FOOTER_HEIGHT + 20;
+    const width = contentWidth(doc);
+    const contacts = [branding.name, branding.website, branding.email].filter(Boolean).join('  ·  ');
+
+    doc.moveTo(doc.page.margins.left, y - 8).lineTo(doc.page.margins.left + width, y - 8).lineWidth(0.5).strokeColor(LINE_COLOR).stroke();
+    doc.font(REGULAR).fontSize(8).fillColor(MUTED_COLOR);
+    if (branding.footer) doc.text(branding.footer, doc.page.margins.left, y, { width });
+    doc.text(`${contacts}${count > 1 ? `  ·  Pagina ${index - start + 1} di ${count}` : ''}`, doc.page.margins.left, doc.y + 2, { width });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+// PDF del jet scelto, come Buffer. jet è già filtrato dal profilo del client (exposeJet)
+export async function renderQuotePdf(quote, jet, { branding = loadBranding() } = {}) {
+  const [logo, image, operatorLogo] = await Promise.all([
+    fetchImage(branding.logo_url),
+    fetchImage(jet.image),
+    fetchImage(jet.logo)
+  ]);
+  const currency = jet.currency || jet.price_breakdown?.currency || quote.trip?.currency || null;
+  const flights = quoteFlights(quote, jet);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: { Title: `Preventivo ${quote.id}`, Author: branding.name || '' }
+  });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  drawHeader(doc, quote, branding, logo);
+  drawRoute(doc, quote, flights);
+  drawSchedule(doc, flights, branding);
+  drawAircraft(doc, jet, branding, image, operatorLogo);
+  drawPrice(doc, jet, branding, currency);
+  drawEmissions(doc, jet.emissions, currency, branding);
+  drawFooters(doc, branding);
+
+  doc.end();
+  return await finished;
+}
@@ -0,0 +1,253 @@
+import { randomUUID } from 'node:crypto';
+import { supabase } from './supabase.js';
+import { priceItinerary } from './itinerary.js';
+import { priceTrip } from './trip.js';
+import { loadFleet, loadFuelStopCandidates, loadAvailabilityBlocks } from './fleet.js';
+import { loadPricingRules, resolveRules } from './pricing-rules.js';
+import { loadExchangeRates, resolveJetCurrency, DEFAULT_CURRENCY } from './currency.js';
+import { applyPricingProfile, exposeJet } from './profiles.js';
+import { formatFlightTime } from './flight.js';
+
+// Tabella Supabase dei preventivi salvati
+export const QUOTES_TABLE = 'quotes';
+
+export const QUOTE_STATUSES = ['open', 'accepted', 'expired'];
+
+// Validità di default di un preventivo se le regole non indicano quote_validity_hours
+export const DEFAULT_QUOTE_VALIDITY_HOURS = 24;
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+// Storage su Supabase
+export function createSupabaseQuoteStore(client = supabase) {
+  return {
+    async list({ status, apiKeyId, limit = 20, now = new Date() } = {}) {
+      let query = client.from(QUOTES_TABLE).select('*');
+      // Filtro sullo stato effettivo prima del limite (vedi effectiveStatus)
+      const nowIso = now.toISOString();
+      if (status === 'open') query = query.eq('status', 'open').gt('valid_until', nowIso);
+      else if (status === 'expired') query = query.or(`status.eq.expired,and(status.eq.open,valid_until.lte.${nowIso})`);
+      else if (status) query = query.eq('status', status);
+      if (apiKeyId !== undefined) query = query.eq('api_key_id', apiKeyId);
+      return await query.order('created_at', { ascending: false }).limit(limit);
+    },
+
+    async get(id) {
+      const { data, error } = await client.from(QUOTES_TABLE).select('*').eq('id', id).limit(1);
+      if (error) return { data: null, error };
+      return { data: data[0] || null, error: null };
+    },
+
+    async create(quote) {
+      const { data, error } = await client.from(QUOTES_TABLE).insert(quote).select();
+      if (error) return { data: null, error };
+      return { data: data[0], error: null };
+    },
+
+    async update(id, changes) {
+      const { data, error } = await client.from(QUOTES_TABLE).update(changes).eq('id', id).select();
+      if (error) return { data: null, error };
+      return { data: data[0] || null, error: null };
+    }
+  };
+}
+
+// Storage in memoria con la stessa interfaccia, per i test e lo sviluppo locale
+export function createMemoryQuoteStore(initial = []) {
+  const quotes = initial.map(q => ({ ...q }));
+
+  return {
+    async list({ status, apiKeyId, limit = 20, now = new Date() } = {}) {
+      const data = quotes
+        .filter(q => !status || effectiveStatus(q, now) === status)
+        .filter(q => apiKeyId === undefined || String(q.api_key_id) === String(apiKeyId))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit);
+      return { data: data.map(q => ({ ...q })), error: null };
+    },
+
+    async get(id) {
+      const quote = quotes.find(q => String(q.id) === String(id));
+      return { data: quote ? { ...quote } : null, error: null };
+    },
+
+    async create(quote) {
+      const created = { id: randomUUID(), created_at: new Date().toISOString(), ...quote };
+      quotes.push(created);
+      return { data: { ...created }, error: null };
+    },
+
+    async update(id, changes) {
+      const quote = quotes.find(q => String(q.id) === String(id));
+      if (!quote) return { data: null, error: null };
+      Object.assign(quote, changes);
+      return { data: { ...quote }, error: null };
+    }
+  };
+}
+
+let store = null;
+
+// Storage corrente (Supabase di default, sostituibile con setQuoteStore)
+export function getQuoteStore() {
+  if (!store) store = createSupabaseQuoteStore();
+  return store;
+}
+
+export function setQuoteStore(newStore) {
+  store = newStore;
+}
+
+// Stato effettivo: un preventivo aperto oltre la validità è scaduto anche se non ancora segnato
+export function effectiveStatus(quote, now = new Date()) {
+  if (quote.status === 'open' && new Date(quote.valid_until) <= now) return 'expired';
+  return quote.status;
+}
+
+// Ogni client vede solo i preventivi richiesti con la propria chiave API
+export function isQuoteOwnedBy(quote, apiKey) {
+  return quote.api_key_id != null && String(quote.api_key_id) === String(apiKey.id);
+}
+
+export function withEffectiveStatus(quote, now = new Date()) {
+  return { ...quote, status: effectiveStatus(quote, now) };
+}
+
+// Preventivo come lo vede il client: jet filtrati dal profilo, senza il profilo stesso
+export function presentQuote(quote) {
+  const profile = quote.trip?.pricing_profile;
+  if (!profile) return quote;
+  const { pricing_profile, ...trip } = quote.trip;
+  return {
+    ...quote,
+    trip,
+    jets: quote.jets?.map(jet => exposeJet(jet, profile))
+  };
+}
+
+// Voli passeggeri del jet nel preventivo, con nomi degli aeroporti e orari (locali e ISO 8601),
+// per i documenti da mandare al cliente (PDF, calendario). I posizionamenti a vuoto restano fuori
+export function quoteFlights(quote, jet) {
+  const input = quote.input || {};
+  const airportName = (code) => quote.trip?.airports?.[code]?.name || null;
+
+  if (input.trip_type === 'multileg') {
+    return (jet.legs || []).filter(leg => leg.type === 'passenger').map(leg => ({
+      from: leg.from,
+      from_name: airportName(leg.from),
+      to: leg.to,
+      to_name: airportName(leg.to),
+      via: leg.fuel_stop?.icao || null,
+      pax: leg.pax,
+      departure_time: leg.departure_time,
+      arrival_time: leg.arrival_time,
+      departure_at: leg.departure_at,
+      arrival_at: leg.arrival_at,
+      flight_time: leg.flight_time_pretty || null
+    }));
+  }
+
+  const outbound = {
+    from: input.departure_icao,
+    from_name: input.departure_name,
+    to: input.arrival_icao,
+    to_name: input.arrival_name,
+    via: jet.fuel_stop?.icao || null,
+    pax: input.pax,
+    departure_time: jet.departure_time || null,
+    arrival_time: jet.departure_arrival || null,
+    departure_at: jet.departure_at || null,
+    arrival_at: jet.departure_arrival_at || null,
+    flight_time: jet.flight_time_pretty || null
+  };
+  if (input.trip_type !== 'roundtrip') return [outbound];
+
+  return [outbound, {
+    ...outbound,
+    from: outbound.to,
+    from_name: outbound.to_name,
+    to: outbound.from,
+    to_name: outbound.from_name,
+    departure_time: jet.return_departure_time || null,
+    arrival_time: jet.return_arrival || null,
+    departure_at: jet.return_departure_at || null,
+    arrival_at: jet.return_arrival_at || null,
+    flight_time: jet.return_flight_time_h != null ? formatFlightTime(Number(jet.return_flight_time_h)) : null
+  }];
+}
+
+// Record da salvare per un calcolo: richiesta, viaggio risolto (per ricalcolare), prezzi per jet
+// e chiave API che l'ha richiesto.
+// trip: { trip_type, airports, departure, arrival, date, return_date, time, return_time, pax, legs, hold_id, currency, pricing_profile, carbon_offset }.
+// I jet sono salvati con netto e lordo: ai client vanno mostrati con presentQuote
+export function buildQuoteRecord({ request, trip, input, jets, ruleSet, apiKeyId = null, now = new Date() }) {
+  const validityHours = ruleSet?.default?.quote_validity_hours ?? DEFAULT_QUOTE_VALIDITY_HOURS;
+  return {
+    id: randomUUID(),
+    status: 'open',
+    created_at: now.toISOString(),
+    valid_until: new Date(now.getTime() + validityHours * MS_PER_HOUR).toISOString(),
+    api_key_id: apiKeyId,
+    request,
+    trip,
+    input,
+    jets
+  };
+}
+
+// Ricalcola il prezzo di un jet del preventivo con regole, flotta e disponibilità attuali
+export async function repriceQuoteJet(quote, jetId) {
+  const trip = quote.trip;
+  const AIRPORTS = { ...trip.airports };
+
+  const { data: jets, error: fleetError } = await loadFleet(AIRPORTS);
+  if (fleetError) return { data: null, error: fleetError };
+
+  const jet = jets.find(j => String(j.id) === String(jetId));
+  if (!jet) return { data: null, error: null };
+
+  const ruleSet = await loadPricingRules();
+  const rules = resolveRules(ruleSet, jet);
+
+  const segments = trip.trip_type === 'multileg'
+    ? trip.legs.map(leg => [AIRPORTS[leg.from_icao], AIRPORTS[leg.to_icao]])
+    : [[AIRPORTS[trip.departure], AIRPORTS[trip.arrival]]];
+  const { data: fuelStopCandidates, error: fuelStopError } = await loadFuelStopCandidates([jet], segments);
+  if (fuelStopError) return { data: null, error: fuelStopError };
+
+  const dates = trip.trip_type === 'multileg'
+    ? trip.legs.map(l => l.date).filter(Boolean).sort()
+    : [trip.date, trip.return_date || trip.date].filter(Boolean);
+  const { data: availabilityBlocks, error: availabilityError } = await loadAvailabilityBlocks(
+    [jet], dates[0], dates[dates.length - 1]
+  );
+  if (availabilityError) return { data: null, error: availabilityError };
+
+  // Stessa valuta del preventivo, con il tasso di cambio attuale
+  const rateTable = await loadExchangeRates();
+  const currency = resolveJetCurrency(rateTable, jet, rules, trip.currency || DEFAULT_CURRENCY);
+
+  const options = {
+    rules,
+    fuelStopCandidates,
+    availabilityBlocks,
+    ignoreHoldId: trip.hold_id,
+    currency,
+    homebase: AIRPORTS[jet.homebase?.trim().toUpperCase()],
+    carbonOffset: Boolean(trip.carbon_offset)
+  };
+  const result = trip.trip_type === 'multileg'
+    ? priceItinerary(jet, trip.legs, AIRPORTS, options)
+    : priceTrip(jet, AIRPORTS[trip.departure], AIRPORTS[trip.arrival], {
+      ...options,
+      tripType: trip.trip_type,
+      pax: trip.pax,
+      date: trip.date,
+      returnDate: trip.return_date,
+      time: trip.time,
+      returnTime: trip.return_time
+    });
+
+  // Con il profilo del client com'era al momento del preventivo
+  return { data: applyPricingProfile(result, trip.pricing_profile, rateTable), error: null };
+}
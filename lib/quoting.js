@@ -0,0 +1,716 @@
+import { getDistanceKm } from './flight.js';
+import { normalizeLegs, priceItinerary } from './itinerary.js';
+import { loadFleet, filterJetsNearby, loadFuelStopCandidates, loadAvailabilityBlocks } from './fleet.js';
+import { loadPricingRules, resolveRules } from './pricing-rules.js';
+import { getAirportTimeZone, toLocalTime } from './timezone.js';
+import { buildTripSchedule } from './schedule.js';
+import { parseDate, parseTime, resolveTripDates, addDays } from './dates.js';
+import { resolveAirport, findNearbyAirports, loadAirportsByIdent, DEFAULT_ALTERNATE_RADIUS_KM } from './airports.js';
+import { priceTrip } from './trip.js';
+import { estimateFlightTime } from './flight-model.js';
+import { errorBody } from './validation.js';
+import { getQuoteStore, buildQuoteRecord } from './quotes.js';
+import { loadExchangeRates, resolveJetCurrency, describeCurrency } from './currency.js';
+import { isJetAllowed } from './api-keys.js';
+import { resolveOwnHoldId } from './availability.js';
+import { loadPricingProfiles, applyPricingProfile, exposeJet } from './profiles.js';
+import { log, createStepTimer, getRequestId } from './logger.js';
+
+// Calcolo dei preventivi (tratta singola e multi-tratta), condiviso da /api/calculate e /api/batch.
+// Le funzioni restituiscono { status, body } invece di scrivere la risposta, così una richiesta
+// batch può raccogliere esiti ed errori di ogni elemento
+
+// Dati condivisi tra più preventivi della stessa richiesta: ogni aeroporto, la flotta,
+// le regole e i cambi si caricano una volta sola. Con la chiave API del client la flotta
+// si limita agli operatori ammessi e i prezzi seguono il suo profilo (ricarico, campi esposti)
+export function createQuoteContext({ apiKey = null } = {}) {
+  const memo = new Map();
+  const once = (key, load) => {
+    if (!memo.has(key)) memo.set(key, load());
+    return memo.get(key);
+  };
+
+  return {
+    apiKey,
+
+    resolveAirport: (input) => once(`resolve:${String(input).trim()}`, () => resolveAirport(input)),
+
+    // Una sola query per tutti i codici non ancora caricati
+    async loadAirports(codes) {
+      const unique = [...new Set(codes)];
+      const missing = unique.filter(code => !memo.has(`airport:${code}`));
+      if (missing.length > 0) {
+        const pending = loadAirportsByIdent(missing);
+        for (const code of missing) {
+          memo.set(`airport:${code}`, pending.then(({ data, error }) => ({
+            data: data ? data.filter(a => a.ident.trim().toUpperCase() === code) : null,
+            error
+          })));
+        }
+      }
+      const results = await Promise.all(unique.map(code => memo.get(`airport:${code}`)));
+      const failed = results.find(r => r.error);
+      if (failed) return { data: null, error: failed.error };
+      return { data: results.flatMap(r => r.data), error: null };
+    },
+
+    // Come loadFleet: aggiunge le coordinate delle homebase alla mappa AIRPORTS della richiesta.
+    // Restituisce la flotta completa così com'è in cache, su cui fleet.js tiene l'indice delle homebase
+    async loadFleet(AIRPORTS) {
+      const { data, error } = await once('fleet', async () => {
+        const homebases = {};
+        const { data: jets, error } = await loadFleet(homebases);
+        return { data: jets && { jets, homebases }, error };
+      });
+      if (error) return { data: null, error };
+      for (const [code, base] of Object.entries(data.homebases)) {
+        AIRPORTS[code] = { ...AIRPORTS[code], ...base };
+      }
+      return { data: data.jets, error: null };
+    },
+
+    // Jet vicini alla partenza (indice sulla flotta completa), poi solo quelli ammessi per la chiave
+    nearbyJets: (jets, AIRPORTS, dep, ruleSet, options) =>
+      filterJetsNearby(jets, AIRPORTS, dep, ruleSet, options).filter(jet => isJetAllowed(apiKey, jet)),
+
+    loadPricingRules: () => once('rules', () => loadPricingRules()),
+    loadExchangeRates: () => once('rates', () => loadExchangeRates()),
+
+    // Profilo di prezzo della chiave (null senza profilo); un profilo inesistente è un errore
+    // di configurazione: meglio non rispondere che mostrare i prezzi netti a un broker
+    loadPricingProfile: () => once('profile', async () => {
+      const profileId = apiKey?.pricing_profile;
+      if (!profileId) return { data: null, error: null };
+      const profile = (await loadPricingProfiles())[profileId];
+      return profile ? { data: profile, error: null } : { data: null, error: new Error(`Profilo di prezzo ${profileId} inesistente`) };
+    })
+  };
+}
+
+function failure(req, status, code, details = {}) {
+  return { status, body: errorBody(req, code, details) };
+}
+
+function databaseFailure(req, error) {
+  log.error('Errore di accesso ai dati', { error });
+  return failure(req, 500, 'DATABASE_ERROR');
+}
+
+function internalFailure(req, error) {
+  log.error('Errore imprevisto', { error });
+  return failure(req, 500, 'INTERNAL_ERROR');
+}
+
+// Risoluzione città/codice -> ICAO: data null se non trovato o ambiguo, error se il database non risponde.
+// Ogni risoluzione finisce nella traccia restituita con `debug`
+async function getCityToICAO(context, cityName, ambiguous, trace) {
+  const result = await context.resolveAirport(cityName);
+  if (result.error) return { data: null, error: result.error };
+  trace.push({
+    input: cityName,
+    source: result.source,
+    code: result.code ?? null,
+    match: result.airport?.match ?? null,
+    ambiguous: result.ambiguous,
+    candidates: result.candidates.map(c => ({
+      ident: c.ident,
+      iata: c.iata_code,
+      name: c.name,
+      municipality: c.municipality,
+      score: c.score,
+      match: c.match
+    }))
+  });
+  if (result.ambiguous) {
+    ambiguous.push({ input: cityName, candidates: result.candidates });
+    return { data: null, error: null };
+  }
+  return { data: result.code, error: null };
+}
+
+// Risposta 409 con i candidati ordinati, perché il client chieda all'utente quale intende
+function ambiguousFailure(req, ambiguous) {
+  return failure(req, 409, 'AMBIGUOUS_AIRPORT', { ambiguous });
+}
+
+// Voce della mappa AIRPORTS a partire da una riga di `Airport 2`
+function toAirportEntry(a) {
+  const airport = {
+    ident: a.ident.trim().toUpperCase(),
+    iata: a.iata_code?.trim().toUpperCase() || null,
+    name: a.name,
+    lat: parseFloat(a.latitude),
+    lon: parseFloat(a.longitude)
+  };
+  return { ...airport, timezone: getAirportTimeZone({ ...airport, timezone: a.timezone }) };
+}
+
+// Risposta 400 per date/orari non interpretabili o non ammessi
+function parseFailure(req, { code, ...details }) {
+  return failure(req, 400, code, details);
+}
+
+// Ordinamenti disponibili per i jet del preventivo
+export const SORT_ORDERS = ['price', 'emissions'];
+
+// Ordina i risultati: prima i jet proponibili, poi per prezzo o per CO2 stimata (a parità, per prezzo)
+export function sortResults(results, sortBy = 'price') {
+  const co2 = (r) => r.emissions?.co2_kg ?? Infinity;
+  results.sort((a, b) =>
+    (b.suitable - a.suitable) ||
+    (sortBy === 'emissions' ? co2(a) - co2(b) : 0) ||
+    ((a.total_price ?? Infinity) - (b.total_price ?? Infinity))
+  );
+  return results;
+}
+
+// Salva il calcolo come preventivo; se il salvataggio fallisce il prezzo viene restituito comunque
+async function saveQuote(record) {
+  const { data, error } = await getQuoteStore().create(record);
+  if (error) {
+    log.error('Errore nel salvataggio del preventivo', { error });
+    return null;
+  }
+  return { id: data.id, status: data.status, valid_until: data.valid_until };
+}
+
+// Riga di log a fine calcolo, con i tempi di ogni fase
+function logQuote(input, results, quote, timings) {
+  log.info('Preventivo calcolato', {
+    trip_type: input.trip_type,
+    departure: input.departure_icao ?? input.legs?.[0]?.departure_icao,
+    arrival: input.arrival_icao ?? input.legs?.[input.legs.length - 1]?.arrival_icao,
+    jets: results.length,
+    suitable_jets: results.filter(r => r.suitable).length,
+    quote_id: quote?.id ?? null,
+    timings
+  });
+}
+
+// Dettagli diagnostici per il client che li chiede con `debug`: risoluzione di ogni aeroporto e tempi
+function debugInfo(trace, timings) {
+  return { request_id: getRequestId(), timings, airports: trace };
+}
+
+// Prezzo più basso tra i jet idonei (null se nessuno)
+export function cheapestPrice(results) {
+  const prices = results.filter(r => r.suitable && r.total_price !== null).map(r => r.total_price);
+  return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+// Preventivo multi-tratta: ogni tratta ha data, orario e passeggeri propri
+export async function quoteItinerary(req, params, context = createQuoteContext()) {
+  const { legs, time, pax, hideUnsuitable, holdId, currency, rateTable, homebaseRadius, sortBy, carbonOffset, debug, request = req.body, persist = true } = params;
+  const normalizedLegs = normalizeLegs(legs, { time, pax });
+  const steps = createStepTimer();
+  const trace = [];
+
+  // Risolve ogni città una sola volta anche se compare in più tratte
+  const inputs = [...new Set(normalizedLegs.flatMap(l => [l.from, l.to]))];
+  const codes = {};
+  const ambiguous = [];
+  for (const input of inputs) {
+    const { data: code, error } = await getCityToICAO(context, input, ambiguous, trace);
+    if (error) return databaseFailure(req, error);
+    codes[input] = code?.trim().toUpperCase() || null;
+  }
+
+  if (ambiguous.length > 0) {
+    return ambiguousFailure(req, ambiguous.map(a => ({
+      ...a,
+      legs: normalizedLegs.filter(l => l.from === a.input || l.to === a.input).map(l => l.index)
+    })));
+  }
+
+  const unresolved = normalizedLegs.filter(l => !codes[l.from] || !codes[l.to]);
+  if (unresolved.length > 0) {
+    return failure(req, 400, 'AIRPORT_NOT_FOUND', {
+      missing: unresolved.map(l => ({
+        leg: l.index,
+        departure: l.from,
+        arrival: l.to,
+        departure_code: codes[l.from],
+        arrival_code: codes[l.to]
+      }))
+    });
+  }
+
+  const uniqueCodes = [...new Set(Object.values(codes))];
+  const { data: legAirports, error: legAirportsError } = await context.loadAirports(uniqueCodes);
+
+  if (legAirportsError) return databaseFailure(req, legAirportsError);
+
+  const AIRPORTS = {};
+  legAirports.forEach(a => {
+    const airport = toAirportEntry(a);
+    AIRPORTS[airport.ident] = airport;
+  });
+
+  const missingCodes = uniqueCodes.filter(code => !AIRPORTS[code]);
+  if (missingCodes.length > 0) {
+    return failure(req, 400, 'AIRPORT_NOT_FOUND', { missing: { codes: missingCodes } });
+  }
+
+  // Date e orari delle tratte: relativi a oggi nel fuso della prima partenza, mai all'indietro
+  const referenceTimeZone = AIRPORTS[codes[normalizedLegs[0].from]].timezone;
+  const today = parseDate('oggi', { timeZone: referenceTimeZone }).date;
+  const parsedLegs = [];
+  for (const leg of normalizedLegs) {
+    const parsedDate = parseDate(leg.date, { timeZone: referenceTimeZone });
+    if (parsedDate.error) return parseFailure(req, { ...parsedDate.error, field: `legs[${leg.index}].date`, input: leg.date });
+    if (parsedDate.date && parsedDate.date < today) {
+      return parseFailure(req, {
+        code: 'DATE_IN_PAST',
+        message: 'La data della tratta è nel passato',
+        field: `legs[${leg.index}].date`,
+        input: leg.date,
+        resolved: parsedDate.date
+      });
+    }
+    const previousDate = parsedLegs.map(l => l.date).filter(Boolean).pop();
+    if (parsedDate.date && previousDate && parsedDate.date < previousDate) {
+      return parseFailure(req, {
+        code: 'LEG_BEFORE_PREVIOUS',
+        message: 'La data della tratta è precedente a quella della tratta precedente',
+        field: `legs[${leg.index}].date`,
+        input: leg.date,
+        resolved: parsedDate.date
+      });
+    }
+
+    const parsedTime = parseTime(leg.time);
+    if (parsedTime.error) return parseFailure(req, { ...parsedTime.error, field: `legs[${leg.index}].time`, input: leg.time });
+
+    parsedLegs.push({
+      ...leg,
+      date: parsedDate.date,
+      date_interpretation: parsedDate.interpretation,
+      time: parsedTime.time
+    });
+  }
+
+  const resolvedLegs = parsedLegs.map((leg) => {
+    const fromCode = codes[leg.from];
+    const toCode = codes[leg.to];
+    const from = AIRPORTS[fromCode];
+    const to = AIRPORTS[toCode];
+    return {
+      ...leg,
+      from_icao: fromCode,
+      from_iata: from.iata,
+      from_name: from.name,
+      to_icao: toCode,
+      to_iata: to.iata,
+      to_name: to.name,
+      distance_km: Math.round(getDistanceKm(from.lat, from.lon, to.lat, to.lon))
+    };
+  });
+
+  steps.step('airports');
+
+  const { data: jets, error: jetError } = await context.loadFleet(AIRPORTS);
+  if (jetError) return databaseFailure(req, jetError);
+
+  const ruleSet = await context.loadPricingRules();
+  const firstDeparture = AIRPORTS[resolvedLegs[0].from_icao];
+  const jetsNearby = context.nearbyJets(jets, AIRPORTS, firstDeparture, ruleSet, { radiusKm: homebaseRadius });
+
+  const segments = resolvedLegs.map(leg => [AIRPORTS[leg.from_icao], AIRPORTS[leg.to_icao]]);
+  const { data: fuelStopCandidates, error: fuelStopError } = await loadFuelStopCandidates(jetsNearby, segments);
+  if (fuelStopError) return databaseFailure(req, fuelStopError);
+
+  const legDates = resolvedLegs.map(l => l.date).filter(Boolean).sort();
+  const { data: availabilityBlocks, error: availabilityError } = await loadAvailabilityBlocks(
+    jetsNearby, legDates[0], legDates[legDates.length - 1]
+  );
+  if (availabilityError) return databaseFailure(req, availabilityError);
+  // Si ignora solo un'opzione messa dalla stessa chiave
+  const ownHoldId = resolveOwnHoldId(availabilityBlocks, holdId, context.apiKey);
+  steps.step('fleet');
+
+  const { data: profile, error: profileError } = await context.loadPricingProfile();
+  if (profileError) return internalFailure(req, profileError);
+
+  const jetCurrencies = new Map(jetsNearby.map(jet => [jet.id, resolveJetCurrency(rateTable, jet, resolveRules(ruleSet, jet), currency)]));
+  let results = jetsNearby.map(jet => applyPricingProfile(priceItinerary(jet, resolvedLegs, AIRPORTS, {
+    currency: jetCurrencies.get(jet.id),
+    rules: resolveRules(ruleSet, jet),
+    fuelStopCandidates,
+    availabilityBlocks,
+    ignoreHoldId: ownHoldId,
+    carbonOffset
+  }), profile, rateTable));
+  if (hideUnsuitable) results = results.filter(r => r.suitable);
+
+  sortResults(results, sortBy);
+  steps.step('pricing');
+
+  const input = {
+    trip_type: 'multileg',
+    legs: resolvedLegs.map(leg => ({
+      leg: leg.index,
+      departure: leg.from,
+      arrival: leg.to,
+      departure_icao: leg.from_icao,
+      departure_iata: leg.from_iata,
+      departure_name: leg.from_name,
+      arrival_icao: leg.to_icao,
+      arrival_iata: leg.to_iata,
+      arrival_name: leg.to_name,
+      date: leg.date,
+      date_interpretation: leg.date_interpretation,
+      time: leg.time,
+      pax: leg.pax,
+      distance_km: leg.distance_km
+    })),
+    pax: Math.max(...resolvedLegs.map(l => l.pax)),
+    homebase_radius_km: homebaseRadius ?? null,
+    sort_by: sortBy || 'price',
+    carbon_offset: Boolean(carbonOffset)
+  };
+
+  const quote = persist ? await saveQuote(buildQuoteRecord({
+    request,
+    trip: {
+      trip_type: 'multileg',
+      airports: Object.fromEntries(uniqueCodes.map(code => [code, AIRPORTS[code]])),
+      legs: resolvedLegs,
+      hold_id: ownHoldId ?? null,
+      currency,
+      pricing_profile: profile,
+      carbon_offset: Boolean(carbonOffset)
+    },
+    input,
+    jets: results,
+    ruleSet,
+    apiKeyId: context.apiKey?.id
+  })) : null;
+  const timings = steps.finish();
+  logQuote(input, results, quote, timings);
+
+  return {
+    status: 200,
+    body: {
+      quote,
+      currency: describeCurrency(currency, jetCurrencies.values()),
+      input,
+      jets: results.map(r => exposeJet(r, profile)),
+      ...(debug ? { debug: debugInfo(trace, timings) } : {})
+    }
+  };
+}
+
+// Preventivo per una tratta solo andata o A/R
+export async function quoteRoute(req, params, context = createQuoteContext()) {
+  let { departure, arrival, from, to, pax, date, time, returnDate, returnTime, tripType = 'oneway', hideUnsuitable, holdId, alternates, homebaseRadius, sortBy, carbonOffset, currency, rateTable } = params;
+  const { dateOffsetDays = 0, debug, request = req.body, persist = true } = params;
+
+  const departureInput = departure || from;
+  const arrivalInput = arrival || to;
+
+  const steps = createStepTimer();
+  const trace = [];
+  const ambiguous = [];
+  const { data: depCode, error: depError } = await getCityToICAO(context, departureInput, ambiguous, trace);
+  if (depError) return databaseFailure(req, depError);
+  const { data: arrCode, error: arrError } = await getCityToICAO(context, arrivalInput, ambiguous, trace);
+  if (arrError) return databaseFailure(req, arrError);
+
+  if (ambiguous.length > 0) {
+    return ambiguousFailure(req, ambiguous.map(a => ({
+      field: a.input === departureInput ? 'from' : 'to',
+      ...a
+    })));
+  }
+
+  if (!depCode || !arrCode) {
+    return failure(req, 400, 'AIRPORT_NOT_FOUND', {
+      missing: {
+        departure: departureInput,
+        arrival: arrivalInput,
+        departure_code: depCode,
+        arrival_code: arrCode
+      }
+    });
+  }
+
+  const { data: specificAirports, error: specificError } = await context.loadAirports([depCode, arrCode]);
+
+  if (specificError) return databaseFailure(req, specificError);
+
+  if (!specificAirports || specificAirports.length < 2) {
+    return failure(req, 400, 'AIRPORT_NOT_FOUND', {
+      missing: {
+        departure: depCode,
+        arrival: arrCode,
+        specific_search_results: specificAirports?.length || 0
+      }
+    });
+  }
+
+  const AIRPORTS = {};
+  specificAirports.forEach(a => {
+    const airport = toAirportEntry(a);
+    AIRPORTS[airport.ident] = airport;
+  });
+
+  const dep = AIRPORTS[depCode];
+  const arr = AIRPORTS[arrCode];
+
+  if (!dep || !arr) {
+    return failure(req, 400, 'AIRPORT_NOT_FOUND', { missing: { departure: depCode, arrival: arrCode } });
+  }
+
+  // Interpretazione di date e orari liberi, relativi a oggi nel fuso di partenza
+  const tripDates = resolveTripDates(
+    { date, returnDate: tripType === 'roundtrip' ? returnDate : undefined },
+    { timeZone: dep.timezone }
+  );
+  if (tripDates.error) return parseFailure(req, tripDates.error);
+
+  const parsedTime = parseTime(time);
+  if (parsedTime.error) return parseFailure(req, { ...parsedTime.error, field: 'time', input: time });
+  const parsedReturnTime = parseTime(returnTime);
+  if (parsedReturnTime.error) return parseFailure(req, { ...parsedReturnTime.error, field: 'returnTime', input: returnTime });
+
+  // Modalità date flessibili: stesso viaggio spostato di qualche giorno, mai nel passato
+  const formattedDate = tripDates.date && addDays(tripDates.date, dateOffsetDays);
+  const formattedReturnDate = tripDates.returnDate && addDays(tripDates.returnDate, dateOffsetDays);
+  if (dateOffsetDays < 0 && formattedDate && formattedDate < parseDate('oggi', { timeZone: dep.timezone }).date) {
+    return parseFailure(req, { code: 'DATE_IN_PAST', field: 'date', input: date, resolved: formattedDate });
+  }
+  time = parsedTime.time;
+  returnTime = parsedReturnTime.time;
+  steps.step('airports');
+
+  const { data: jets, error: jetError } = await context.loadFleet(AIRPORTS);
+  if (jetError) return databaseFailure(req, jetError);
+
+  const ruleSet = await context.loadPricingRules();
+  // Solo i jet con homebase nel raggio (della richiesta o delle regole), tramite indice spaziale
+  const jetsNearby = context.nearbyJets(jets, AIRPORTS, dep, ruleSet, { radiusKm: homebaseRadius });
+
+  // Aeroporti alternativi vicini a partenza e arrivo, quotati a confronto
+  const alternateRadius = alternates === true ? DEFAULT_ALTERNATE_RADIUS_KM : Number(alternates) || 0;
+  const alternateRoutes = [];
+  if (alternateRadius > 0) {
+    for (const [side, airport] of [['departure', dep], ['arrival', arr]]) {
+      const { data: nearby, error: nearbyError } = await findNearbyAirports(airport, alternateRadius);
+      if (nearbyError) return databaseFailure(req, nearbyError);
+      for (const alt of nearby) {
+        const entry = { ...alt, iata: alt.iata_code, timezone: getAirportTimeZone(alt) };
+        alternateRoutes.push(side === 'departure'
+          ? { side, dep: entry, arr, distance_from_requested_km: alt.distance_km }
+          : { side, dep, arr: entry, distance_from_requested_km: alt.distance_km });
+      }
+    }
+  }
+
+  const segments = [[dep, arr], ...alternateRoutes.map(r => [r.dep, r.arr])];
+  const { data: fuelStopCandidates, error: fuelStopError } = await loadFuelStopCandidates(jetsNearby, segments);
+  if (fuelStopError) return databaseFailure(req, fuelStopError);
+
+  const { data: availabilityBlocks, error: availabilityError } = await loadAvailabilityBlocks(
+    jetsNearby, formattedDate, tripType === 'roundtrip' ? formattedReturnDate : formattedDate
+  );
+  if (availabilityError) return databaseFailure(req, availabilityError);
+  // Si ignora solo un'opzione messa dalla stessa chiave
+  const ownHoldId = resolveOwnHoldId(availabilityBlocks, holdId, context.apiKey);
+  steps.step('fleet');
+
+  // Parametri comuni per gli orari reali nei fusi dei due aeroporti
+  const scheduleInput = {
+    date: formattedDate,
+    time,
+    returnDate: formattedReturnDate,
+    returnTime,
+    tripType,
+    depTimeZone: dep.timezone,
+    arrTimeZone: arr.timezone
+  };
+
+  // Pre-calcola orario di ritorno per l'input (usando il primo jet come riferimento)
+  const sampleJet = jetsNearby.find(j => j.speed_knots || j.speed);
+  let inputReturnTime = returnTime;
+  
+  if (tripType === 'roundtrip' && !returnTime && sampleJet) {
+    const sampleTime = estimateFlightTime([[dep, arr]], sampleJet, resolveRules(ruleSet, sampleJet), { date: formattedDate });
+    const sampleSchedule = buildTripSchedule({ ...scheduleInput, blockTime: sampleTime.block_time_h });
+    inputReturnTime = toLocalTime(sampleSchedule.returnDeparture, arr.timezone);
+  }
+
+  const { data: profile, error: profileError } = await context.loadPricingProfile();
+  if (profileError) return internalFailure(req, profileError);
+
+  const jetCurrencies = new Map(jetsNearby.map(jet => [jet.id, resolveJetCurrency(rateTable, jet, resolveRules(ruleSet, jet), currency)]));
+  const priceOptions = (jet) => ({
+    currency: jetCurrencies.get(jet.id),
+    tripType,
+    pax,
+    date: formattedDate,
+    returnDate: formattedReturnDate,
+    time,
+    returnTime,
+    rules: resolveRules(ruleSet, jet),
+    fuelStopCandidates,
+    availabilityBlocks,
+    ignoreHoldId: ownHoldId,
+    homebase: AIRPORTS[jet.homebase?.trim().toUpperCase()],
+    carbonOffset
+  });
+
+  // Prezzo del client (profilo) già nell'ordinamento e nei confronti tra alternative e date
+  const quoteJet = (jet, from, to) => applyPricingProfile(priceTrip(jet, from, to, priceOptions(jet)), profile, rateTable);
+  let results = jetsNearby.map(jet => quoteJet(jet, dep, arr));
+  if (hideUnsuitable) results = results.filter(r => r.suitable);
+
+  sortResults(results, sortBy);
+
+  let alternateQuotes;
+  if (alternateRadius > 0) {
+    const requestedCheapest = cheapestPrice(results);
+    alternateQuotes = {
+      radius_km: alternateRadius,
+      requested: { departure_icao: depCode, arrival_icao: arrCode, cheapest_price: requestedCheapest },
+      options: alternateRoutes.map((route) => {
+        let jets = jetsNearby.map(jet => quoteJet(jet, route.dep, route.arr));
+        if (hideUnsuitable) jets = jets.filter(r => r.suitable);
+        sortResults(jets, sortBy);
+        const cheapest = cheapestPrice(jets);
+        return {
+          side: route.side,
+          departure_icao: route.dep.ident,
+          departure_iata: route.dep.iata,
+          departure_name: route.dep.name,
+          arrival_icao: route.arr.ident,
+          arrival_iata: route.arr.iata,
+          arrival_name: route.arr.name,
+          distance_from_requested_km: route.distance_from_requested_km,
+          cheapest_price: cheapest,
+          savings: cheapest !== null && requestedCheapest !== null ? requestedCheapest - cheapest : null,
+          jets: jets.map(r => exposeJet(r, profile))
+        };
+      })
+    };
+  }
+  steps.step('pricing');
+
+  const input = {
+    departure: departureInput,
+    arrival: arrivalInput,
+    departure_icao: depCode,
+    departure_iata: dep.iata,
+    departure_name: dep.name,
+    departure_timezone: dep.timezone,
+    arrival_icao: arrCode,
+    arrival_iata: arr.iata,
+    arrival_name: arr.name,
+    arrival_timezone: arr.timezone,
+    date: formattedDate || null,
+    date_interpretation: tripDates.interpretations.date,
+    return_date: formattedReturnDate || null,
+    return_date_interpretation: tripDates.interpretations.returnDate,
+    trip_type: tripType,
+    time: time || "12:00",
+    return_time: (tripType === 'roundtrip') ? inputReturnTime : null,
+    pax: pax || 4,
+    homebase_radius_km: homebaseRadius ?? null,
+    sort_by: sortBy || 'price',
+    carbon_offset: Boolean(carbonOffset)
+  };
+
+  const quote = persist ? await saveQuote(buildQuoteRecord({
+    request,
+    trip: {
+      trip_type: tripType,
+      airports: { [depCode]: dep, [arrCode]: arr },
+      departure: depCode,
+      arrival: arrCode,
+      date: formattedDate || null,
+      return_date: formattedReturnDate || null,
+      time: time || null,
+      return_time: returnTime || null,
+      pax: pax || 4,
+      hold_id: ownHoldId ?? null,
+      currency,
+      pricing_profile: profile,
+      carbon_offset: Boolean(carbonOffset)
+    },
+    input,
+    jets: results,
+    ruleSet,
+    apiKeyId: context.apiKey?.id
+  })) : null;
+  const timings = steps.finish();
+  logQuote(input, results, quote, timings);
+
+  return {
+    status: 200,
+    body: {
+      quote,
+      currency: describeCurrency(currency, jetCurrencies.values()),
+      input,
+      jets: results.map(r => exposeJet(r, profile)),
+      ...(alternateQuotes ? { alternates: alternateQuotes } : {}),
+      ...(debug ? { debug: debugInfo(trace, timings) } : {})
+    }
+  };
+}
+
+// Date flessibili: stesso viaggio da N giorni prima a N giorni dopo la data richiesta
+// (il ritorno si sposta insieme), con il giorno più economico evidenziato.
+// È un confronto: i singoli giorni non vengono salvati come preventivi
+export async function quoteFlexibleDates(req, params, context = createQuoteContext()) {
+  const { flexibleDays } = params;
+
+  // Prima la data richiesta: se fallisce per aeroporti o dati, falliscono tutte
+  const requested = await quoteRoute(req, { ...params, persist: false }, context);
+  if (requested.status !== 200) return requested;
+
+  const days = [];
+  for (let offset = -flexibleDays; offset <= flexibleDays; offset++) {
+    const { status, body } = offset === 0
+      ? requested
+      : await quoteRoute(req, { ...params, dateOffsetDays: offset, persist: false }, context);
+
+    if (status !== 200) {
+      days.push({ offset_days: offset, date: body.resolved || null, error: body });
+      continue;
+    }
+    const best = body.jets.find(j => j.suitable && j.total_price !== null) || null;
+    days.push({
+      offset_days: offset,
+      date: body.input.date,
+      return_date: body.input.return_date,
+      cheapest_price: best?.total_price ?? null,
+      cheapest_jet_id: best?.jet_id ?? null,
+      suitable_jets: body.jets.filter(j => j.suitable).length,
+      cheapest: false,
+      jets: body.jets
+    });
+  }
+
+  // A parità di prezzo vince il giorno più vicino a quello richiesto
+  const [cheapest = null] = days
+    .filter(d => d.cheapest_price != null)
+    .sort((a, b) => (a.cheapest_price - b.cheapest_price) || (Math.abs(a.offset_days) - Math.abs(b.offset_days)));
+  if (cheapest) cheapest.cheapest = true;
+  const requestedCheapest = cheapestPrice(requested.body.jets);
+
+  return {
+    status: 200,
+    body: {
+      quote: null,
+      currency: requested.body.currency,
+      input: { ...requested.body.input, flexible_days: flexibleDays },
+      flexible: {
+        cheapest_date: cheapest?.date ?? null,
+        cheapest_price: cheapest?.cheapest_price ?? null,
+        savings: cheapest && requestedCheapest !== null ? requestedCheapest - cheapest.cheapest_price : null,
+        days: days.map(({ jets, ...day }) => day)
+      },
+      jets: cheapest ? cheapest.jets : requested.body.jets,
+      ...(requested.body.debug ? { debug: requested.body.debug } : {})
+    }
+  };
+}
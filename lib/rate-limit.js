@@ -0,0 +1,222 @@
+import { DEFAULT_RATE_LIMIT_PER_MINUTE } from './api-keys.js';
+import { log } from './logger.js';
+
+// Limiti per chiave API (richieste al minuto, quote giornaliere e mensili) e contatori di utilizzo
+// per chiave, giorno ed endpoint. I contatori stanno in un archivio intercambiabile: in memoria
+// (default, per singola istanza e per i test) oppure esterno (Redis/Upstash) condiviso tra le istanze.
+//
+// Un archivio di contatori espone:
+//   increment(key, amount, ttlMs) -> nuovo valore, get(key) -> valore (0 se assente)
+// increment deve essere atomico (INCRBY su Redis) e accettare amount negativi, per gli annullamenti
+
+// Endpoint con chiave API, per il riepilogo dell'utilizzo
+export const METERED_ENDPOINTS = ['calculate', 'batch', 'ping', 'airports', 'quotes', 'availability', 'holds', 'export'];
+
+// Per quanto restano i contatori di utilizzo giornalieri
+export const USAGE_RETENTION_DAYS = 90;
+
+const MS_PER_MINUTE = 1000 * 60;
+const MS_PER_DAY = MS_PER_MINUTE * 60 * 24;
+
+// Archivio in memoria: Map con scadenza per chiave
+export function createMemoryCounterStore() {
+  const counters = new Map();
+
+  const current = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    name: 'memory',
+
+    async increment(key, amount, ttlMs) {
+      const entry = current(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+      entry.value += amount;
+      counters.set(key, entry);
+      return entry.value;
+    },
+
+    async get(key) {
+      return current(key)?.value || 0;
+    }
+  };
+}
+
+// Archivio su un client chiave/valore esterno, es. @upstash/redis:
+//   client.incrby(key, amount) -> number, client.pexpire(key, ms), client.get(key)
+export function createKeyValueCounterStore(client, { name = 'key-value', prefix = 'jet-pricing:counters:' } = {}) {
+  return {
+    name,
+
+    async increment(key, amount, ttlMs) {
+      const value = Number(await client.incrby(prefix + key, amount));
+      // Scadenza solo alla creazione, altrimenti la finestra si allungherebbe a ogni richiesta
+      if (amount > 0 && value === amount) await client.pexpire(prefix + key, ttlMs);
+      return value;
+    },
+
+    async get(key) {
+      return Number(await client.get(prefix + key)) || 0;
+    }
+  };
+}
+
+let counterStore = null;
+
+// Archivio corrente (in memoria di default, sostituibile con setCounterStore)
+export function getCounterStore() {
+  if (!counterStore) counterStore = createMemoryCounterStore();
+  return counterStore;
+}
+
+export function setCounterStore(newStore) {
+  counterStore = newStore;
+}
+
+function startOfNextDay(now) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+function startOfNextMonth(now) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+}
+
+// Quote della chiave con il periodo (UTC) a cui si riferiscono
+function quotaPeriods(apiKey, now) {
+  const day = now.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+  return [
+    { period: 'day', quota: apiKey.daily_quota, key: `quota:${apiKey.id}:${day}`, resetAt: startOfNextDay(now), ttl: 2 * MS_PER_DAY },
+    { period: 'month', quota: apiKey.monthly_quota, key: `quota:${apiKey.id}:${month}`, resetAt: startOfNextMonth(now), ttl: 32 * MS_PER_DAY }
+  ];
+}
+
+function usageKey(apiKey, date, endpoint, counter) {
+  return `usage:${apiKey.id}:${date}:${endpoint}:${counter}`;
+}
+
+function retryAfter(now, until) {
+  return Math.max(1, Math.ceil((until - now.getTime()) / 1000));
+}
+
+async function countRejected(counters, apiKey, endpoint, now) {
+  await counters.increment(usageKey(apiKey, now.toISOString().slice(0, 10), endpoint, 'rejected'), 1, USAGE_RETENTION_DAYS * MS_PER_DAY);
+}
+
+// Addebita cost preventivi alle quote. Prima l'incremento (atomico nell'archivio), poi il confronto:
+// con richieste concorrenti ognuna vede il proprio totale. Se una quota è superata gli incrementi
+// già fatti vengono annullati, così una richiesta respinta non la intacca
+async function chargeQuotas(counters, apiKey, cost, now) {
+  const charged = [];
+  for (const period of quotaPeriods(apiKey, now).filter(p => p.quota != null)) {
+    const used = await counters.increment(period.key, cost, period.ttl);
+    charged.push(period);
+    if (used > period.quota) {
+      await refundQuotas(counters, charged, cost);
+      return {
+        allowed: false,
+        code: 'QUOTA_EXCEEDED',
+        period: period.period,
+        quota: period.quota,
+        used: used - cost,
+        retry_after_s: retryAfter(now, period.resetAt)
+      };
+    }
+  }
+  return { allowed: true, charged };
+}
+
+async function refundQuotas(counters, charged, cost) {
+  for (const { key, ttl } of charged) await counters.increment(key, -cost, ttl);
+}
+
+// Conta una chiamata della chiave all'endpoint. Il limite al minuto vale per le richieste,
+// le quote per i preventivi calcolati (cost: 1 per /api/calculate, gli elementi di un batch,
+// 0 per gli endpoint che non calcolano prezzi).
+// Restituisce { allowed, limit, remaining, reset_at } oppure { allowed: false, code, retry_after_s, ... }.
+// Un archivio non raggiungibile non blocca le richieste: i limiti vengono saltati e l'errore va nei log
+export async function consumeApiKey(apiKey, endpoint, { cost = 0, now = new Date() } = {}) {
+  const counters = getCounterStore();
+  const date = now.toISOString().slice(0, 10);
+  const limit = apiKey.rate_limit_per_minute ?? DEFAULT_RATE_LIMIT_PER_MINUTE;
+  const minute = Math.floor(now.getTime() / MS_PER_MINUTE);
+  const resetAt = (minute + 1) * MS_PER_MINUTE;
+  const rateKey = `rate:${apiKey.id}:${minute}`;
+
+  try {
+    const quotas = cost > 0 ? await chargeQuotas(counters, apiKey, cost, now) : { allowed: true, charged: [] };
+    if (!quotas.allowed) {
+      await countRejected(counters, apiKey, endpoint, now);
+      return { limit, ...quotas };
+    }
+
+    // Anche qui incremento e poi confronto; la richiesta respinta non resta nel conteggio
+    const count = await counters.increment(rateKey, 1, 2 * MS_PER_MINUTE);
+    if (limit && count > limit) {
+      await counters.increment(rateKey, -1, 2 * MS_PER_MINUTE);
+      await refundQuotas(counters, quotas.charged, cost);
+      await countRejected(counters, apiKey, endpoint, now);
+      return { allowed: false, limit, code: 'RATE_LIMITED', remaining: 0, reset_at: resetAt, retry_after_s: retryAfter(now, resetAt) };
+    }
+
+    await counters.increment(usageKey(apiKey, date, endpoint, 'requests'), 1, USAGE_RETENTION_DAYS * MS_PER_DAY);
+    if (cost > 0) await counters.increment(usageKey(apiKey, date, endpoint, 'quotes'), cost, USAGE_RETENTION_DAYS * MS_PER_DAY);
+
+    return { allowed: true, limit, remaining: limit ? Math.max(0, limit - count) : null, reset_at: resetAt };
+  } catch (error) {
+    log.error('Errore dei contatori di utilizzo, limiti non applicati', { error: error.message });
+    return { allowed: true, limit, remaining: null, reset_at: null };
+  }
+}
+
+// Addebita i preventivi a una richiesta già contata da consumeApiKey, dopo la validazione:
+// così una richiesta non valida non consuma le quote. Stesso esito di consumeApiKey
+export async function consumeQuota(apiKey, endpoint, { cost, now = new Date() }) {
+  const counters = getCounterStore();
+  const date = now.toISOString().slice(0, 10);
+  try {
+    const quotas = await chargeQuotas(counters, apiKey, cost, now);
+    if (!quotas.allowed) {
+      await countRejected(counters, apiKey, endpoint, now);
+      return quotas;
+    }
+    await counters.increment(usageKey(apiKey, date, endpoint, 'quotes'), cost, USAGE_RETENTION_DAYS * MS_PER_DAY);
+    return { allowed: true };
+  } catch (error) {
+    log.error('Errore dei contatori di utilizzo, limiti non applicati', { error: error.message });
+    return { allowed: true };
+  }
+}
+
+// Utilizzo della chiave giorno per giorno (date UTC YYYY-MM-DD, estremi inclusi), con i totali
+export async function getApiKeyUsage(apiKey, { from, to }) {
+  const counters = getCounterStore();
+  const days = [];
+  const totals = { requests: 0, quotes: 0, rejected: 0 };
+
+  for (let time = Date.parse(`${from}T00:00:00Z`); time <= Date.parse(`${to}T00:00:00Z`); time += MS_PER_DAY) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    const endpoints = {};
+    for (const endpoint of METERED_ENDPOINTS) {
+      const usage = {};
+      for (const counter of Object.keys(totals)) {
+        usage[counter] = await counters.get(usageKey(apiKey, date, endpoint, counter));
+        totals[counter] += usage[counter];
+      }
+      if (usage.requests > 0 || usage.rejected > 0) endpoints[endpoint] = usage;
+    }
+    days.push({ date, endpoints });
+  }
+
+  const quotas = {};
+  for (const { period, quota, key } of quotaPeriods(apiKey, new Date())) {
+    if (quota != null) quotas[period] = { quota, used: await counters.get(key) };
+  }
+
+  return { key_id: apiKey.id, from, to, totals, quotas, days };
+}
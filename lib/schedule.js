@@ -0,0 +1,69 @@
+import { calculateArrivalTime } from './flight.js';
+import { zonedDateTimeToInstant, toLocalDate, localDaysBetween } from './timezone.js';
+
+// Tempo minimo a terra tra arrivo e ripartenza dello stesso jet (ore)
+export const TURNAROUND_H = 1;
+
+export const DEFAULT_DEPARTURE_TIME = '12:00';
+
+function isIsoDate(date) {
+  return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date);
+}
+
+// Data di riferimento: quella richiesta, oppure oggi nel fuso dell'aeroporto
+export function resolveReferenceDate(date, timeZone, now = new Date()) {
+  return isIsoDate(date) ? date : toLocalDate(now, timeZone);
+}
+
+export function addHours(instant, hours) {
+  return calculateArrivalTime(instant, hours);
+}
+
+// Orari reali di un viaggio solo andata o A/R per un jet con il suo tempo di volo (block time);
+// returnBlockTime se il ritorno dura diversamente (vento), altrimenti uguale all'andata
+export function buildTripSchedule({ date, time, returnDate, returnTime, tripType, depTimeZone, arrTimeZone, blockTime, returnBlockTime = blockTime }) {
+  const departureDate = resolveReferenceDate(date, depTimeZone);
+  const departureTime = time || DEFAULT_DEPARTURE_TIME;
+  const departure = zonedDateTimeToInstant(departureDate, departureTime, depTimeZone);
+  const arrival = calculateArrivalTime(departure, blockTime);
+
+  if (tripType !== 'roundtrip') {
+    return { departure, arrival, returnDeparture: null, returnArrival: null, daysBetween: null };
+  }
+
+  const returnDay = isIsoDate(returnDate) ? returnDate : departureDate;
+  let returnDeparture;
+
+  if (returnTime) {
+    // Orario di ritorno specificato esplicitamente (ora locale della destinazione)
+    returnDeparture = zonedDateTimeToInstant(returnDay, returnTime, arrTimeZone);
+  } else if (returnDay === departureDate) {
+    // Same-day: si riparte dopo il turnaround
+    returnDeparture = addHours(arrival, TURNAROUND_H);
+  } else {
+    // Multi-day: stesso orario locale dell'andata
+    returnDeparture = zonedDateTimeToInstant(returnDay, departureTime, arrTimeZone);
+  }
+
+  return {
+    departure,
+    arrival,
+    returnDeparture,
+    returnArrival: calculateArrivalTime(returnDeparture, returnBlockTime),
+    // Notti che il jet passa a destinazione, contate sul calendario locale
+    daysBetween: Math.max(0, localDaysBetween(arrival, returnDeparture, arrTimeZone))
+  };
+}
+
+// Il ritorno deve partire almeno un turnaround dopo l'arrivo dell'andata
+export function checkReturnTiming(schedule) {
+  if (!schedule.returnDeparture) return null;
+  const earliest = addHours(schedule.arrival, TURNAROUND_H);
+  if (schedule.returnDeparture >= earliest) return null;
+
+  return {
+    code: 'RETURN_TOO_EARLY',
+    message: 'Il ritorno parte prima che il jet sia arrivato e pronto a destinazione',
+    earliest_return: earliest.toISOString()
+  };
+}
@@ -0,0 +1,358 @@
+import { BLOCK_KINDS } from './availability.js';
+import { QUOTE_STATUSES } from './quotes.js';
+import { CACHE_TTL } from './cache.js';
+import { SORT_ORDERS } from './quoting.js';
+
+// Schemi di validazione delle richieste, uno per endpoint (vedi lib/validation.js)
+
+export const MAX_PAX = 100;
+export const MAX_LEGS = 10;
+export const MAX_ALTERNATE_RADIUS_KM = 300;
+export const MAX_HOMEBASE_RADIUS_KM = 3000;
+export const MAX_BATCH_ITEMS = 100;
+export const MAX_BATCH_QUOTES = 300;
+export const MAX_FLEXIBLE_DAYS = 7;
+export const MAX_USAGE_DAYS = 92;
+export const EXPORT_FORMATS = ['pdf', 'ics'];
+// Durata massima di un'opzione (24 ore)
+export const MAX_HOLD_MINUTES = 60 * 24;
+
+const place = { type: 'string', minLength: 1, maxLength: 100 };
+const freeDate = { type: 'string', maxLength: 50 };
+const freeTime = { type: ['string', 'number'] };
+const pax = { type: 'integer', minimum: 1, maximum: MAX_PAX };
+const id = { type: ['integer', 'string'] };
+const isoDate = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ };
+const isoDateTime = { type: 'string', maxLength: 40 };
+
+// Almeno uno dei campi alternativi (es. from o departure)
+function requireEither(value, path, fields) {
+  if (fields.some(field => value[field] !== undefined)) return [];
+  return [{ code: 'REQUIRED', field: path ? `${path}.${fields[0]}` : fields[0], alternatives: fields }];
+}
+
+const legSchema = {
+  type: 'object',
+  properties: {
+    from: place,
+    departure: place,
+    to: place,
+    arrival: place,
+    date: freeDate,
+    time: freeTime,
+    pax
+  },
+  check: (leg, path) => [
+    ...requireEither(leg, path, ['from', 'departure']),
+    ...requireEither(leg, path, ['to', 'arrival'])
+  ]
+};
+
+// Campi di una tratta solo andata o A/R, comuni a /api/calculate e agli elementi di /api/batch
+const routeProperties = {
+  from: place,
+  departure: place,
+  to: place,
+  arrival: place,
+  date: freeDate,
+  returnDate: freeDate,
+  time: freeTime,
+  returnTime: freeTime,
+  tripType: { type: 'string', enum: ['oneway', 'roundtrip'], default: 'oneway' },
+  pax,
+  hideUnsuitable: { type: 'boolean', default: false },
+  holdId: id,
+  homebaseRadius: { type: 'number', minimum: 0, maximum: MAX_HOMEBASE_RADIUS_KM },
+  // Ordine dei jet: per prezzo (default) o per CO2 stimata
+  sortBy: { type: 'string', enum: SORT_ORDERS, default: 'price' },
+  // Compensazione delle emissioni compresa nel prezzo
+  carbonOffset: { type: 'boolean', default: false },
+  // Traccia della risoluzione degli aeroporti e tempi di calcolo nella risposta
+  debug: { type: 'boolean', default: false }
+};
+
+function checkRoute(body) {
+  const errors = [
+    ...requireEither(body, '', ['from', 'departure']),
+    ...requireEither(body, '', ['to', 'arrival'])
+  ];
+  if (body.tripType === 'roundtrip' && body.returnDate === undefined) {
+    errors.push({ code: 'REQUIRED', field: 'returnDate' });
+  }
+  return errors;
+}
+
+const currency = { type: 'string', pattern: /^[A-Za-z]{3}$/ };
+
+// POST /api/calculate
+export const calculateSchema = {
+  type: 'object',
+  properties: {
+    ...routeProperties,
+    legs: { type: 'array', minItems: 1, maxItems: MAX_LEGS, items: legSchema },
+    currency,
+    alternates: { type: ['number', 'boolean'], minimum: 0, maximum: MAX_ALTERNATE_RADIUS_KM, default: false }
+  },
+  // Con `legs` le tratte sostituiscono from/to
+  check: (body) => body.legs ? [] : checkRoute(body)
+};
+
+// Elemento di POST /api/batch, validato singolarmente perché un elemento errato non blocchi gli altri
+export const batchItemSchema = {
+  type: 'object',
+  properties: {
+    ...routeProperties,
+    id: { type: ['string', 'integer'] },
+    flexibleDays: { type: 'integer', minimum: 1, maximum: MAX_FLEXIBLE_DAYS }
+  },
+  check: (item) => {
+    const errors = checkRoute(item);
+    if (item.flexibleDays !== undefined && item.date === undefined) errors.push({ code: 'REQUIRED', field: 'date' });
+    return errors;
+  }
+};
+
+// Preventivi calcolati da un elemento del batch: con le date flessibili 2N+1
+export function batchItemQuotes(item) {
+  return 2 * (Number(item?.flexibleDays) || 0) + 1;
+}
+
+// POST /api/batch
+export const batchSchema = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: { type: 'array', minItems: 1, maxItems: MAX_BATCH_ITEMS, items: { type: 'object' } },
+    currency,
+    saveQuotes: { type: 'boolean', default: false }
+  },
+  check: (body) => {
+    const total = (body.items || []).reduce((sum, item) => sum + batchItemQuotes(item), 0);
+    return total > MAX_BATCH_QUOTES ? [{ code: 'TOO_MANY_QUOTES', field: 'items', maximum: MAX_BATCH_QUOTES }] : [];
+  }
+};
+
+// GET /api/airports/search
+export const airportSearchSchema = {
+  type: 'object',
+  required: ['q'],
+  properties: {
+    q: { type: 'string', minLength: 2, maxLength: 100 },
+    limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lon: { type: 'number', minimum: -180, maximum: 180 }
+  },
+  check: (query) => (query.lat === undefined) !== (query.lon === undefined)
+    ? [{ code: 'REQUIRED', field: query.lat === undefined ? 'lat' : 'lon' }]
+    : []
+};
+
+const windowProperties = {
+  start: isoDateTime,
+  end: isoDateTime,
+  date: isoDate,
+  end_date: isoDate
+};
+
+// GET /api/availability
+export const availabilityListSchema = {
+  type: 'object',
+  properties: {
+    jet_id: { type: ['string', 'integer'] },
+    from: isoDateTime,
+    to: isoDateTime
+  }
+};
+
+// POST /api/availability
+export const availabilityCreateSchema = {
+  type: 'object',
+  required: ['jet_id'],
+  properties: {
+    jet_id: id,
+    kind: { type: 'string', enum: BLOCK_KINDS, default: 'maintenance' },
+    ...windowProperties,
+    note: { type: 'string', maxLength: 500 }
+  }
+};
+
+// GET/DELETE con ?id
+export const idSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: { id }
+};
+
+// POST /api/holds
+export const holdCreateSchema = {
+  type: 'object',
+  required: ['jet_id'],
+  properties: {
+    jet_id: id,
+    ...windowProperties,
+    expires_in_minutes: { type: 'number', minimum: 1, maximum: MAX_HOLD_MINUTES },
+    reference: { type: 'string', maxLength: 200 }
+  }
+};
+
+// GET /api/quotes (elenco)
+export const quoteListSchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: QUOTE_STATUSES },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+  }
+};
+
+// PATCH /api/quotes: accettazione (con il jet scelto) o scadenza manuale
+export const quoteUpdateSchema = {
+  type: 'object',
+  required: ['id', 'status'],
+  properties: {
+    id: { type: 'string', maxLength: 64 },
+    status: { type: 'string', enum: ['accepted', 'expired'] },
+    jet_id: id
+  },
+  check: (body) => body.status === 'accepted' && body.jet_id === undefined
+    ? [{ code: 'REQUIRED', field: 'jet_id' }]
+    : []
+};
+
+// GET /api/export: documento di un jet del preventivo (PDF o calendario .ics)
+export const quoteExportSchema = {
+  type: 'object',
+  required: ['quote_id', 'jet_id'],
+  properties: {
+    quote_id: { type: 'string', maxLength: 64 },
+    jet_id: id,
+    format: { type: 'string', enum: EXPORT_FORMATS, default: 'pdf' }
+  }
+};
+
+// DELETE /api/cache: invalida un namespace (tutti se assente)
+export const cacheInvalidateSchema = {
+  type: 'object',
+  properties: {
+    namespace: { type: 'string', enum: Object.keys(CACHE_TTL) }
+  }
+};
+
+const icao = { type: 'string', pattern: /^\s*[A-Za-z0-9]{4}\s*$/ };
+const httpsUrl = { type: 'string', maxLength: 500, pattern: /^https:\/\/[^\s/$.?#][^\s]*$/i };
+const email = { type: 'string', maxLength: 200, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ };
+
+// POST /api/operators
+export const operatorCreateSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    contact_email: email,
+    logo_url: httpsUrl
+  }
+};
+
+// PATCH /api/operators: active solo per l'amministrazione, rotate_token genera un nuovo token
+export const operatorUpdateSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id,
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    contact_email: email,
+    logo_url: httpsUrl,
+    active: { type: 'boolean' },
+    rotate_token: { type: 'boolean', default: false }
+  }
+};
+
+const jetProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  category: { type: 'string', pattern: /^[a-z_]{1,40}$/ },
+  seats: { type: 'integer', minimum: 1, maximum: MAX_PAX },
+  speed_knots: { type: 'number', minimum: 100, maximum: 700 },
+  hourly_rate: { type: 'number', minimum: 1 },
+  homebase: icao,
+  range_km: { type: 'number', minimum: 100, maximum: 20000 },
+  parking_cost_per_day: { type: 'number', minimum: 0 },
+  crew_overnight_cost: { type: 'number', minimum: 0 },
+  fuel_burn_kg_per_hour: { type: 'number', minimum: 50, maximum: 5000 },
+  currency,
+  image_url: httpsUrl,
+  logo_url: httpsUrl
+};
+
+// POST /api/fleet: operator_id solo per l'amministrazione
+export const jetCreateSchema = {
+  type: 'object',
+  required: ['name', 'seats', 'speed_knots', 'hourly_rate', 'homebase'],
+  properties: {
+    ...jetProperties,
+    operator_id: id
+  }
+};
+
+// PATCH /api/fleet: solo i campi da modificare
+export const jetUpdateSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id,
+    ...jetProperties
+  }
+};
+
+// GET /api/fleet
+export const fleetListSchema = {
+  type: 'object',
+  properties: {
+    id,
+    operator_id: id
+  }
+};
+
+const apiKeyProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  client: { type: 'string', maxLength: 200 },
+  rate_limit_per_minute: { type: 'integer', minimum: 1, maximum: 10000 },
+  daily_quota: { type: 'integer', minimum: 1 },
+  monthly_quota: { type: 'integer', minimum: 1 },
+  allowed_operator_ids: { type: 'array', maxItems: 100, items: id },
+  pricing_profile: { type: 'string', minLength: 1, maxLength: 100 }
+};
+
+// POST /api/keys
+export const apiKeyCreateSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: apiKeyProperties
+};
+
+// PATCH /api/keys: i limiti e le restrizioni si tolgono passando null
+export const apiKeyUpdateSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id,
+    ...apiKeyProperties,
+    active: { type: 'boolean' },
+    rotate_key: { type: 'boolean', default: false }
+  }
+};
+
+// GET /api/usage: intervallo di date UTC, al massimo MAX_USAGE_DAYS giorni
+export const usageSchema = {
+  type: 'object',
+  properties: {
+    key_id: id,
+    from: isoDate,
+    to: isoDate
+  },
+  check: (query) => {
+    if (!query.from || !query.to) return [];
+    const days = (Date.parse(query.to) - Date.parse(query.from)) / (1000 * 60 * 60 * 24);
+    if (days < 0) return [{ code: 'INVALID_RANGE', field: 'to' }];
+    if (days >= MAX_USAGE_DAYS) return [{ code: 'RANGE_TOO_LONG', field: 'to', maximum: MAX_USAGE_DAYS }];
+    return [];
+  }
+};
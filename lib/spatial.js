@@ -0,0 +1,60 @@
+import { getDistanceKm } from './flight.js';
+
+// Indice spaziale a griglia: i punti sono divisi in celle di latitudine/longitudine,
+// una ricerca per raggio visita solo le celle che intersecano il cerchio
+
+const DEFAULT_CELL_DEG = 1;
+const KM_PER_DEG_LAT = 111;
+
+function cellKey(row, col) {
+  return `${row}:${col}`;
+}
+
+// items: [{ lat, lon, ... }]; i punti senza coordinate valide vengono ignorati
+export function createGridIndex(items, { cellDeg = DEFAULT_CELL_DEG } = {}) {
+  const cells = new Map();
+  const columns = Math.round(360 / cellDeg);
+  const rowOf = (lat) => Math.floor((lat + 90) / cellDeg);
+  const colOf = (lon) => ((Math.floor((lon + 180) / cellDeg) % columns) + columns) % columns;
+
+  let size = 0;
+  for (const item of items) {
+    if (!Number.isFinite(item.lat) || !Number.isFinite(item.lon)) continue;
+    const key = cellKey(rowOf(item.lat), colOf(item.lon));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(item);
+    size++;
+  }
+
+  return {
+    size,
+
+    // Punti entro radiusKm dal centro, dal più vicino: [{ item, distance_km }]
+    within(lat, lon, radiusKm) {
+      const latMargin = radiusKm / KM_PER_DEG_LAT;
+      const minRow = rowOf(Math.max(lat - latMargin, -90));
+      const maxRow = rowOf(Math.min(lat + latMargin, 90));
+
+      // Vicino ai poli (o con raggi enormi) il cerchio copre tutte le longitudini
+      const maxLat = Math.min(Math.abs(lat) + latMargin, 90);
+      const cos = Math.cos(maxLat * Math.PI / 180);
+      const lonMargin = cos > 0.01 ? radiusKm / (KM_PER_DEG_LAT * cos) : 180;
+      const colSpan = lonMargin >= 180 ? columns : Math.min(columns, Math.ceil((2 * lonMargin) / cellDeg) + 1);
+      const firstCol = lonMargin >= 180 ? 0 : colOf(lon - lonMargin);
+
+      const found = [];
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let i = 0; i < colSpan; i++) {
+          const bucket = cells.get(cellKey(row, (firstCol + i) % columns));
+          if (!bucket) continue;
+          for (const item of bucket) {
+            const distance = getDistanceKm(lat, lon, item.lat, item.lon);
+            if (distance <= radiusKm) found.push({ item, distance_km: distance });
+          }
+        }
+      }
+
+      return found.sort((a, b) => a.distance_km - b.distance_km);
+    }
+  };
+}
@@ -0,0 +1,107 @@
+import { getDistanceKm } from './flight.js';
+
+// Tempo a terra per uno scalo tecnico di rifornimento (ore)
+export const FUEL_STOP_GROUND_TIME_H = 0.75;
+
+// Tipi di aeroporto ammessi come scalo tecnico
+export const FUEL_STOP_AIRPORT_TYPES = ['large_airport', 'medium_airport'];
+
+// Autonomia del jet in km (colonna range_km, oppure range_nm convertita); null se sconosciuta
+export function getJetRangeKm(jet) {
+  if (jet.range_km > 0) return Number(jet.range_km);
+  if (jet.range_nm > 0) return Number(jet.range_nm) * 1.852;
+  return null;
+}
+
+// Verifica che i posti del jet bastino per i passeggeri richiesti
+export function checkCapacity(jet, pax) {
+  if (!pax || !jet.seats) return null;
+  if (Number(pax) <= Number(jet.seats)) return null;
+
+  return {
+    code: 'INSUFFICIENT_SEATS',
+    message: 'Posti insufficienti per il numero di passeggeri',
+    required: Number(pax),
+    available: Number(jet.seats)
+  };
+}
+
+// Sceglie lo scalo tecnico che minimizza la distanza totale con entrambe le tratte entro l'autonomia
+export function findFuelStop(from, to, rangeKm, candidates) {
+  let best = null;
+
+  for (const candidate of candidates) {
+    if (candidate.ident === from.ident || candidate.ident === to.ident) continue;
+
+    const first = getDistanceKm(from.lat, from.lon, candidate.lat, candidate.lon);
+    if (first > rangeKm) continue;
+    const second = getDistanceKm(candidate.lat, candidate.lon, to.lat, to.lon);
+    if (second > rangeKm) continue;
+
+    if (!best || first + second < best.distance_km) {
+      best = {
+        icao: candidate.ident,
+        name: candidate.name || null,
+        type: candidate.type || null,
+        lat: candidate.lat,
+        lon: candidate.lon,
+        distance_km: first + second,
+        first_leg_km: first,
+        second_leg_km: second
+      };
+    }
+  }
+
+  return best;
+}
+
+// Pianifica la tratta per il jet: diretta se entro autonomia, altrimenti con scalo tecnico.
+// segments sono le tratte effettivamente volate, per il modello del tempo di volo
+export function planRoute(from, to, jet, candidates = []) {
+  const distance = getDistanceKm(from.lat, from.lon, to.lat, to.lon);
+  const rangeKm = getJetRangeKm(jet);
+
+  if (!rangeKm || distance <= rangeKm) {
+    return { distance, segments: [[from, to]], fuel_stop: null, issue: null };
+  }
+
+  const fuelStop = findFuelStop(from, to, rangeKm, candidates);
+  if (fuelStop) {
+    const stop = { ident: fuelStop.icao, lat: fuelStop.lat, lon: fuelStop.lon };
+    return {
+      distance: fuelStop.distance_km,
+      segments: [[from, stop], [stop, to]],
+      fuel_stop: {
+        icao: fuelStop.icao,
+        name: fuelStop.name,
+        distance_km: Math.round(fuelStop.distance_km),
+        first_leg_km: Math.round(fuelStop.first_leg_km),
+        second_leg_km: Math.round(fuelStop.second_leg_km)
+      },
+      issue: {
+        code: 'FUEL_STOP_REQUIRED',
+        message: 'Tratta oltre l\'autonomia: previsto scalo tecnico',
+        distance_km: Math.round(distance),
+        range_km: Math.round(rangeKm),
+        fuel_stop: fuelStop.icao
+      }
+    };
+  }
+
+  return {
+    distance,
+    segments: [[from, to]],
+    fuel_stop: null,
+    issue: {
+      code: 'OUT_OF_RANGE',
+      message: 'Tratta oltre l\'autonomia e nessuno scalo tecnico disponibile',
+      distance_km: Math.round(distance),
+      range_km: Math.round(rangeKm)
+    }
+  };
+}
+
+// Un jet è proponibile se nessun problema è bloccante (lo scalo tecnico è solo informativo)
+export function isSuitable(issues) {
+  return !issues.some(issue => issue.code !== 'FUEL_STOP_REQUIRED');
+}
@@ -0,0 +1,7 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Client Supabase condiviso da tutti gli endpoint
+export const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
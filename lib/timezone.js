@@ -0,0 +1,122 @@
+import tzlookup from 'tz-lookup';
+import { log } from './logger.js';
+
+// Fusi orari degli aeroporti e conversioni ora locale <-> istante UTC (DST incluso, via Intl)
+
+const MS_PER_MINUTE = 1000 * 60;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Fuso dell'aeroporto: colonna `timezone` se presente, altrimenti dalle coordinate
+export function getAirportTimeZone(airport) {
+  if (isValidTimeZone(airport?.timezone)) return airport.timezone;
+  if (Number.isFinite(airport?.lat) && Number.isFinite(airport?.lon)) {
+    try {
+      return tzlookup(airport.lat, airport.lon);
+    } catch (error) {
+      log.warn('Fuso orario non determinabile', { airport: airport.ident, error: error.message });
+    }
+  }
+  return 'UTC';
+}
+
+// Componenti della data/ora locale di un istante nel fuso indicato
+function localParts(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+// Scostamento in minuti dall'UTC del fuso in quell'istante
+export function getOffsetMinutes(instant, timeZone) {
+  const p = localParts(instant, timeZone);
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / MS_PER_MINUTE);
+}
+
+// Converte data (YYYY-MM-DD) e ora (HH:MM) locali del fuso in un istante
+export function zonedDateTimeToInstant(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  const naiveUtc = Date.UTC(year, month - 1, day, hours, minutes);
+  if (isNaN(naiveUtc)) return null;
+
+  // Due passaggi per gestire correttamente i cambi d'ora
+  let offset = getOffsetMinutes(new Date(naiveUtc), timeZone);
+  let instant = new Date(naiveUtc - offset * MS_PER_MINUTE);
+  const correctedOffset = getOffsetMinutes(instant, timeZone);
+  if (correctedOffset !== offset) {
+    instant = new Date(naiveUtc - correctedOffset * MS_PER_MINUTE);
+  }
+  return instant;
+}
+
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Data locale YYYY-MM-DD dell'istante nel fuso
+export function toLocalDate(instant, timeZone) {
+  const p = localParts(instant, timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// Ora locale HH:MM dell'istante nel fuso
+export function toLocalTime(instant, timeZone) {
+  const p = localParts(instant, timeZone);
+  return `${p.hour}:${p.minute}`;
+}
+
+// ISO 8601 con scostamento locale, es. 2025-06-01T14:05:00+02:00
+export function toLocalIso(instant, timeZone) {
+  const p = localParts(instant, timeZone);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${formatOffset(getOffsetMinutes(instant, timeZone))}`;
+}
+
+// Giorni di calendario locali tra due istanti, nello stesso fuso
+export function localDaysBetween(from, to, timeZone) {
+  const start = Date.parse(`${toLocalDate(from, timeZone)}T00:00:00Z`);
+  const end = Date.parse(`${toLocalDate(to, timeZone)}T00:00:00Z`);
+  return Math.round((end - start) / (MS_PER_MINUTE * 60 * 24));
+}
+
+// Descrizione di un orario locale per la risposta
+export function describeLocal(instant, timeZone) {
+  if (!instant) return null;
+  return {
+    date: toLocalDate(instant, timeZone),
+    time: toLocalTime(instant, timeZone),
+    iso: toLocalIso(instant, timeZone),
+    timezone: timeZone
+  };
+}
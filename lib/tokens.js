@@ -0,0 +1,30 @@
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+
+// Token Bearer e token di amministrazione, senza dipendenze da Supabase: li usa anche
+// /api/health, che deve rispondere quando la configurazione del database manca
+
+export function getBearerToken(req) {
+  const header = req.headers?.authorization;
+  const match = typeof header === 'string' && header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// Nuovo token casuale, mostrato una sola volta a chi lo riceve
+export function generateToken(prefix) {
+  return `${prefix}_${randomBytes(24).toString('hex')}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+export function isAdminToken(token) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  return Boolean(adminToken && token && safeEqual(token, adminToken));
+}
@@ -0,0 +1,205 @@
+import { getDistanceKm, getFerryDistanceKm, formatFlightTime } from './flight.js';
+import { toLocalTime, toLocalIso } from './timezone.js';
+import { buildTripSchedule, checkReturnTiming } from './schedule.js';
+import { checkCapacity, planRoute, isSuitable, FUEL_STOP_GROUND_TIME_H } from './suitability.js';
+import { flightWindow, spanWindows, findConflicts, availabilityIssue } from './availability.js';
+import { buildPriceBreakdown, sumItems } from './pricing.js';
+import { estimateFlightTime, describeFlightTime } from './flight-model.js';
+import { estimateEmissions, withHomebasePositioning, offsetFee, describeEmissions } from './emissions.js';
+
+// Prezzi di andata, ritorno e sosta ricavati dal dettaglio (anche dopo il ricarico di un profilo)
+export function tripPrices(breakdown, tripType) {
+  return {
+    outbound_price: sumItems(breakdown, i => i.group === 'outbound'),
+    return_price: tripType === 'roundtrip' ? sumItems(breakdown, i => i.group === 'return') : null,
+    repositioning_cost: tripType === 'roundtrip' ? sumItems(breakdown, i => i.group === 'stopover') : null,
+    total_price: breakdown.total,
+    price_breakdown: breakdown
+  };
+}
+
+// Prezzo di un viaggio solo andata o A/R tra due aeroporti per un singolo jet
+// dep/arr: { ident, name, lat, lon, timezone }; homebase: coordinate della base del jet, per il trasferimento.
+// carbonOffset: il costo della compensazione delle emissioni entra nel prezzo
+export function priceTrip(jet, dep, arr, {
+  tripType = 'oneway',
+  pax,
+  date,
+  returnDate,
+  time,
+  returnTime,
+  rules,
+  fuelStopCandidates = [],
+  availabilityBlocks = [],
+  ignoreHoldId = null,
+  currency = null,
+  homebase = null,
+  carbonOffset = false
+}) {
+  const depCode = dep.ident;
+  const arrCode = arr.ident;
+  const distance = getDistanceKm(dep.lat, dep.lon, arr.lat, arr.lon);
+  const knots = jet.speed_knots || jet.speed || null;
+  const ferryDistance = getFerryDistanceKm(homebase, dep);
+
+  const issues = [];
+  if (currency?.issue) issues.push(currency.issue);
+  const capacityIssue = checkCapacity(jet, pax || 4);
+  if (capacityIssue) issues.push(capacityIssue);
+
+  const route = planRoute(dep, arr, jet, fuelStopCandidates);
+  if (route.issue) issues.push(route.issue);
+  if (!knots) issues.push({ code: 'MISSING_SPEED', message: 'Velocità mancante o non valida' });
+
+  if (!knots || knots === 0 || route.issue?.code === 'OUT_OF_RANGE') {
+    return {
+      jet_id: jet.id,
+      model: jet.name || null,
+      category: jet.category || null,
+      seats: jet.seats || null,
+      operator: jet.operator || null,
+      logo: jet.logo_url || null,
+      image: jet.image_url || null,
+      home_base: jet.homebase,
+      ferry_distance_km: ferryDistance,
+      distance_km: Math.round(distance),
+      flight_time_h: null,
+      flight_time_pretty: null,
+      return_flight_time_h: null,
+      flight_profile: null,
+      trip_type: tripType,
+      currency: currency?.code || null,
+      exchange_rate: currency?.conversion || null,
+      outbound_price: null,
+      return_price: null,
+      total_price: null,
+      suitable: false,
+      issues,
+      fuel_stop: null,
+      emissions: null,
+      ...(knots ? {} : { warning: 'Velocità mancante o non valida' }),
+    };
+  }
+
+  // Tempo di volo dal modello (aerovie, salita/discesa, rullaggio, vento), lo stesso per orari e prezzi.
+  // Con scalo tecnico si volano le due tratte via scalo, più il tempo a terra negli orari.
+  // Con il vento andata e ritorno possono durare diversamente
+  const groundTime = route.fuel_stop ? FUEL_STOP_GROUND_TIME_H : 0;
+  const outbound = estimateFlightTime(route.segments, jet, rules, { date });
+  const inbound = estimateFlightTime(
+    route.segments.map(([from, to]) => [to, from]).reverse(), jet, rules, { date: returnDate || date }
+  );
+  const flightTime = outbound.block_time_h;
+  const returnFlightTime = inbound.block_time_h;
+  const blockTime = flightTime + groundTime;
+
+  // Orari reali: partenza e ritorno nell'ora locale dei rispettivi aeroporti
+  const schedule = buildTripSchedule({
+    date,
+    time,
+    returnDate,
+    returnTime,
+    tripType,
+    depTimeZone: dep.timezone,
+    arrTimeZone: arr.timezone,
+    blockTime,
+    returnBlockTime: returnFlightTime + groundTime
+  });
+  const daysBetween = schedule.daysBetween;
+  const timingIssue = checkReturnTiming(schedule);
+  if (timingIssue) issues.push(timingIssue);
+
+  // Voci di prezzo secondo le regole dell'operatore / categoria del jet
+  const via = route.fuel_stop?.icao;
+  const emptyLegFactor = (rules.oneway_multiplier ?? 2) - 1;
+  const flights = [
+    { kind: 'passenger', group: 'outbound', from: depCode, to: arrCode, via, date, hours: flightTime }
+  ];
+  const fees = [];
+  let premium = null;
+
+  if (tripType === 'roundtrip') {
+    flights.push({ kind: 'passenger', group: 'return', from: arrCode, to: depCode, via, date: returnDate, hours: returnFlightTime });
+
+    if (daysBetween === 0) {
+      // Same-day: il jet aspetta a destinazione
+      premium = { code: 'same_day_premium', group: 'return', percent: rules.roundtrip?.same_day_premium_percent };
+    } else if (daysBetween === 1) {
+      // Next-day: supplemento + pernottamento crew e jet
+      premium = { code: 'next_day_premium', group: 'return', percent: rules.roundtrip?.next_day_premium_percent };
+      fees.push({ code: 'overnight_fee', group: 'stopover', amount: rules.roundtrip?.overnight_fee });
+    } else {
+      // Multi-day: due voli one-way indipendenti, ciascuno con il suo rientro a vuoto
+      flights.push({ kind: 'empty_leg', group: 'outbound', from: arrCode, to: depCode, date, hours: returnFlightTime, factor: emptyLegFactor });
+      flights.push({ kind: 'empty_leg', group: 'return', from: depCode, to: arrCode, date: returnDate, hours: flightTime, factor: emptyLegFactor });
+    }
+  } else {
+    // Solo andata: il jet deve tornare alla base
+    flights.push({ kind: 'empty_leg', group: 'outbound', from: arrCode, to: depCode, date, hours: returnFlightTime, factor: emptyLegFactor });
+  }
+
+  // Emissioni di tutti i voli del viaggio, anche quelli a vuoto non fatturati
+  const emissions = estimateEmissions(jet, rules, withHomebasePositioning(flights, jet, homebase, dep, rules, {
+    date,
+    returnDate: tripType === 'roundtrip' ? returnDate : date
+  }), { pax: pax || 4 });
+  const offset = carbonOffset ? offsetFee(emissions, rules) : null;
+  if (offset) fees.push(offset);
+
+  const breakdown = buildPriceBreakdown(jet, rules, {
+    flights: flights.filter(f => f.factor !== 0),
+    premium,
+    fees,
+    currency
+  });
+
+  // Disponibilità: A/R in giornata o il giorno dopo tengono impegnato il jet per tutto il viaggio
+  if (date) {
+    const outboundWindow = flightWindow(schedule.departure, blockTime);
+    const returnWindow = schedule.returnDeparture
+      ? flightWindow(schedule.returnDeparture, returnFlightTime + groundTime)
+      : null;
+    const windows = returnWindow && daysBetween <= 1
+      ? [spanWindows([outboundWindow, returnWindow])]
+      : [outboundWindow, returnWindow];
+    const conflicts = findConflicts(availabilityBlocks, jet.id, windows, { ignoreHoldId });
+    const unavailable = availabilityIssue(conflicts);
+    if (unavailable) issues.push(unavailable);
+  }
+
+  const formatted = formatFlightTime(flightTime);
+
+  return {
+    jet_id: jet.id,
+    model: jet.name || null,
+    category: jet.category || null,
+    seats: jet.seats || null,
+    operator: jet.operator || null,
+    logo: jet.logo_url || null,
+    image: jet.image_url || null,
+    home_base: jet.homebase,
+    ferry_distance_km: ferryDistance,
+    distance_km: Math.round(distance),
+    flight_time_h: flightTime.toFixed(2), // Sempre il tempo della singola tratta
+    flight_time_pretty: formatted,        // Sempre il tempo della singola tratta
+    return_flight_time_h: tripType === 'roundtrip' ? returnFlightTime.toFixed(2) : null,
+    flight_profile: describeFlightTime(outbound),
+    trip_type: tripType,
+    currency: currency?.code || null,
+    exchange_rate: currency?.conversion || null,
+    ...tripPrices(breakdown, tripType),
+    emissions: describeEmissions(emissions, rules, { currency, included: Boolean(offset) }),
+    days_between: tripType === 'roundtrip' ? daysBetween : null,
+    suitable: isSuitable(issues),
+    issues,
+    fuel_stop: route.fuel_stop,
+    departure_time: toLocalTime(schedule.departure, dep.timezone),
+    departure_arrival: toLocalTime(schedule.arrival, arr.timezone),
+    return_departure_time: schedule.returnDeparture ? toLocalTime(schedule.returnDeparture, arr.timezone) : null,
+    return_arrival: schedule.returnArrival ? toLocalTime(schedule.returnArrival, dep.timezone) : null,
+    departure_at: toLocalIso(schedule.departure, dep.timezone),
+    departure_arrival_at: toLocalIso(schedule.arrival, arr.timezone),
+    return_departure_at: schedule.returnDeparture ? toLocalIso(schedule.returnDeparture, arr.timezone) : null,
+    return_arrival_at: schedule.returnArrival ? toLocalIso(schedule.returnArrival, dep.timezone) : null,
+  };
+}
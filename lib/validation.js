@@ -0,0 +1,177 @@
+import { getLocale, translate } from './i18n.js';
+import { log } from './logger.js';
+
+// Validazione delle richieste su schema, con codici di errore e percorsi dei campi leggibili dai client
+//
+// Uno schema descrive un valore:
+//   { type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' (o array di tipi),
+//     required: [...campi obbligatori, per gli oggetti], properties: { campo: schema }, items: schema,
+//     enum, minimum, maximum, minLength, maxLength, minItems, maxItems, pattern, default,
+//     check: (value, path) => [{ code, field, ...params }] per vincoli tra più campi }
+// Numeri e booleani in forma di stringa ("4", "true") vengono convertiti, come arrivano nelle query.
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Prova a rendere il valore del tipo richiesto; undefined se impossibile
+function coerce(value, type) {
+  const actual = typeOf(value);
+  switch (type) {
+    case 'string':
+      return actual === 'string' ? value : undefined;
+    case 'number':
+      if (actual === 'number') return Number.isFinite(value) ? value : undefined;
+      if (actual === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+      return undefined;
+    case 'integer': {
+      const number = coerce(value, 'number');
+      return Number.isInteger(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (actual === 'boolean') return value;
+      if (value === 'true' || value === '1' || value === 1) return true;
+      if (value === 'false' || value === '0' || value === 0) return false;
+      return undefined;
+    case 'object':
+      return actual === 'object' ? value : undefined;
+    case 'array':
+      return actual === 'array' ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+function validateValue(schema, input, path, errors) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  let value;
+  let matchedType;
+  for (const type of types) {
+    value = coerce(input, type);
+    if (value !== undefined) {
+      matchedType = type;
+      break;
+    }
+  }
+
+  if (matchedType === undefined) {
+    errors.push({ code: 'INVALID_TYPE', field: path, expected: types.join(' | ') });
+    return undefined;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ code: 'INVALID_ENUM', field: path, allowed: schema.enum });
+    return undefined;
+  }
+
+  if (matchedType === 'number' || matchedType === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ code: 'TOO_SMALL', field: path, minimum: schema.minimum });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ code: 'TOO_LARGE', field: path, maximum: schema.maximum });
+  }
+
+  if (matchedType === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push({ code: 'TOO_SHORT', field: path, minLength: schema.minLength });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ code: 'TOO_LONG', field: path, maxLength: schema.maxLength });
+    if (schema.pattern && !schema.pattern.test(value)) errors.push({ code: 'INVALID_FORMAT', field: path });
+  }
+
+  if (matchedType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ code: 'TOO_FEW_ITEMS', field: path, minItems: schema.minItems });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ code: 'TOO_MANY_ITEMS', field: path, maxItems: schema.maxItems });
+    if (schema.items) {
+      value = value.map((item, index) => validateValue(schema.items, item, joinPath(path, index), errors));
+    }
+  }
+
+  if (matchedType === 'object' && schema.properties) {
+    value = validateObject(schema, value, path, errors);
+  }
+
+  if (schema.check && value !== undefined) {
+    errors.push(...schema.check(value, path));
+  }
+
+  return value;
+}
+
+// I campi non previsti dallo schema vengono lasciati passare invariati
+function validateObject(schema, input, path, errors) {
+  const output = { ...input };
+  for (const field of schema.required || []) {
+    if (isMissing(input[field])) errors.push({ code: 'REQUIRED', field: joinPath(path, field) });
+  }
+  for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+    if (isMissing(input[field])) {
+      if (fieldSchema.default !== undefined) output[field] = fieldSchema.default;
+      else delete output[field];
+      continue;
+    }
+    output[field] = validateValue(fieldSchema, input[field], joinPath(path, field), errors);
+  }
+  return output;
+}
+
+// Valida l'input: { value, errors } con il valore normalizzato (default applicati, tipi convertiti)
+export function validate(schema, input) {
+  const errors = [];
+  const value = validateValue(schema, input ?? {}, '', errors);
+  return { value, errors };
+}
+
+// Corpo di errore con messaggio localizzato; i dettagli restano leggibili dai client
+export function errorBody(req, code, details = {}) {
+  const { message, params = {}, ...rest } = details;
+  return { error: translate(code, getLocale(req), { ...rest, ...params }), code, ...rest };
+}
+
+export function sendError(req, res, status, code, details = {}) {
+  return res.status(status).json(errorBody(req, code, details));
+}
+
+// Corpo con l'elenco degli errori di validazione (codice, campo, messaggio)
+export function validationErrorBody(req, errors) {
+  const locale = getLocale(req);
+  return {
+    error: translate('VALIDATION_ERROR', locale),
+    code: 'VALIDATION_ERROR',
+    errors: errors.map(({ code, field, ...params }) => ({
+      code,
+      field,
+      message: translate(code, locale, params),
+      ...params
+    }))
+  };
+}
+
+export function sendValidationError(req, res, errors) {
+  return res.status(400).json(validationErrorBody(req, errors));
+}
+
+// 405 con l'header Allow
+export function sendMethodNotAllowed(req, res, allowed) {
+  res.setHeader('Allow', allowed.join(', '));
+  return sendError(req, res, 405, 'METHOD_NOT_ALLOWED', { allowed });
+}
+
+// 500 per errori di Supabase: il dettaglio resta nei log
+export function sendDatabaseError(req, res, error) {
+  log.error('Errore di accesso ai dati', { error });
+  return sendError(req, res, 500, 'DATABASE_ERROR');
+}
+
+// 500 generico, senza dettagli interni né stack
+export function sendInternalError(req, res, error) {
+  log.error('Errore imprevisto', { error });
+  return sendError(req, res, 500, 'INTERNAL_ERROR');
+}
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMemoryAvailabilityStore,
+  findConflicts,
+  availabilityIssue,
+  isActiveBlock,
+  isHoldOwnedBy,
+  resolveOwnHoldId,
+  resolveBlockWindow,
+  flightWindow,
+  setAvailabilityStore,
+  HOLD_KIND
+} from '../lib/availability.js';
+import { setOperatorStore, createMemoryOperatorStore } from '../lib/operators.js';
+import { hashToken } from '../lib/tokens.js';
+import availabilityHandler from '../api/availability.js';
+
+const NOW = new Date('2026-06-01T08:00:00Z');
+const inMinutes = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000).toISOString();
+
+async function storeWith(blocks) {
+  const store = createMemoryAvailabilityStore();
+  for (const block of blocks) await store.create(block);
+  return store;
+}
+
+test('il blocco di manutenzione rende il jet non disponibile solo nelle finestre sovrapposte', async () => {
+  const store = await storeWith([
+    { jet_id: 1, kind: 'maintenance', ...resolveBlockWindow({ date: '2026-06-02' }) }
+  ]);
+  const { data: blocks } = await store.list({ jetIds: ['1'] });
+
+  const overlapping = flightWindow('2026-06-02T10:00:00Z', 2);
+  const before = flightWindow('2026-06-01T10:00:00Z', 2);
+  assert.equal(findConflicts(blocks, 1, [overlapping], { now: NOW }).length, 1);
+  assert.equal(findConflicts(blocks, 1, [before], { now: NOW }).length, 0);
+  assert.equal(findConflicts(blocks, 2, [overlapping], { now: NOW }).length, 0);
+
+  const issue = availabilityIssue(findConflicts(blocks, 1, [overlapping], { now: NOW }));
+  assert.equal(issue.code, 'UNAVAILABLE');
+  assert.equal(issue.conflicts[0].kind, 'maintenance');
+});
+
+test('il margine di un\'ora attorno al volo conta nei conflitti', async () => {
+  const store = await storeWith([
+    { jet_id: 1, kind: 'charter', start_at: '2026-06-02T08:00:00.000Z', end_at: '2026-06-02T09:30:00.000Z' }
+  ]);
+  const { data: blocks } = await store.list();
+
+  // Partenza alle 10:00: la finestra inizia alle 9:00, dentro il charter
+  assert.equal(findConflicts(blocks, 1, [flightWindow('2026-06-02T10:00:00Z', 1)], { now: NOW }).length, 1);
+  assert.equal(findConflicts(blocks, 1, [flightWindow('2026-06-02T11:00:00Z', 1)], { now: NOW }).length, 0);
+});
+
+test('un\'opzione attiva blocca il jet, scaduta no', async () => {
+  const window = { start_at: '2026-06-02T00:00:00.000Z', end_at: '2026-06-03T00:00:00.000Z' };
+  const store = await storeWith([
+    { jet_id: 1, kind: HOLD_KIND, ...window, expires_at: inMinutes(30), api_key_id: 'a' },
+    { jet_id: 2, kind: HOLD_KIND, ...window, expires_at: inMinutes(-1), api_key_id: 'a' }
+  ]);
+  const { data: blocks } = await store.list();
+  const flight = flightWindow('2026-06-02T12:00:00Z', 1);
+
+  assert.equal(isActiveBlock(blocks[0], NOW), true);
+  assert.equal(isActiveBlock(blocks[1], NOW), false);
+  assert.equal(findConflicts(blocks, 1, [flight], { now: NOW }).length, 1);
+  assert.equal(findConflicts(blocks, 2, [flight], { now: NOW }).length, 0);
+  // Dopo la scadenza il jet torna libero anche per l'opzione attiva
+  assert.equal(findConflicts(blocks, 1, [flight], { now: new Date(inMinutes(31)) }).length, 0);
+});
+
+test('solo la chiave che ha messo l\'opzione la può ignorare nel calcolo', async () => {
+  const store = await storeWith([
+    { jet_id: 1, kind: HOLD_KIND, start_at: '2026-06-02T00:00:00.000Z', end_at: '2026-06-03T00:00:00.000Z', expires_at: inMinutes(30), api_key_id: 'a' }
+  ]);
+  const { data: blocks } = await store.list();
+  const [hold] = blocks;
+  const flight = flightWindow('2026-06-02T12:00:00Z', 1);
+
+  assert.equal(isHoldOwnedBy(hold, { id: 'a' }), true);
+  assert.equal(isHoldOwnedBy(hold, { id: 'b' }), false);
+
+  const own = resolveOwnHoldId(blocks, hold.id, { id: 'a' });
+  const foreign = resolveOwnHoldId(blocks, hold.id, { id: 'b' });
+  assert.equal(own, hold.id);
+  assert.equal(foreign, null);
+  assert.equal(findConflicts(blocks, 1, [flight], { now: NOW, ignoreHoldId: own }).length, 0);
+  assert.equal(findConflicts(blocks, 1, [flight], { now: NOW, ignoreHoldId: foreign }).length, 1);
+});
+
+test('un blocco non di opzione non appartiene a nessuna chiave', async () => {
+  const store = await storeWith([
+    { jet_id: 1, kind: 'maintenance', start_at: '2026-06-02T00:00:00.000Z', end_at: '2026-06-03T00:00:00.000Z', api_key_id: 'a' }
+  ]);
+  const { data: [block] } = await store.list();
+  assert.equal(isHoldOwnedBy(block, { id: 'a' }), false);
+  assert.equal(resolveOwnHoldId([block], block.id, { id: 'a' }), null);
+});
+
+test('le giornate intere partono dalla mezzanotte locale della homebase', () => {
+  assert.deepEqual(resolveBlockWindow({ date: '2026-06-01' }, { timeZone: 'Europe/Rome' }), {
+    start_at: '2026-05-31T22:00:00.000Z',
+    end_at: '2026-06-01T22:00:00.000Z'
+  });
+  // Cambio dell'ora: la giornata del 25 ottobre dura 25 ore
+  assert.deepEqual(resolveBlockWindow({ date: '2026-10-25' }, { timeZone: 'Europe/Rome' }), {
+    start_at: '2026-10-24T22:00:00.000Z',
+    end_at: '2026-10-25T23:00:00.000Z'
+  });
+  assert.equal(resolveBlockWindow({ date: '2026-13-01' }), null);
+});
+
+test('lo store in memoria filtra per jet e intervallo ed elimina per id', async () => {
+  const store = await storeWith([
+    { jet_id: 1, kind: 'maintenance', start_at: '2026-06-02T00:00:00.000Z', end_at: '2026-06-03T00:00:00.000Z' },
+    { jet_id: 2, kind: 'maintenance', start_at: '2026-06-05T00:00:00.000Z', end_at: '2026-06-06T00:00:00.000Z' }
+  ]);
+
+  assert.equal((await store.list({ jetIds: ['2'] })).data.length, 1);
+  assert.equal((await store.list({ from: '2026-06-04T00:00:00Z', to: '2026-06-10T00:00:00Z' })).data.length, 1);
+
+  const { data: removed } = await store.remove(1);
+  assert.equal(removed.jet_id, 1);
+  assert.equal((await store.get(1)).data, null);
+  assert.equal((await store.remove(1)).data, null);
+});
+
+async function callAvailability(req) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; }
+  };
+  await availabilityHandler({ headers: {}, query: {}, ...req }, res);
+  return res;
+}
+
+test('blocchi creati ed eliminati solo dall\'operatore del jet', async () => {
+  setOperatorStore(createMemoryOperatorStore({
+    operators: [
+      { id: 'op1', name: 'AirOne', token_hash: hashToken('op1-token') },
+      { id: 'op2', name: 'SkyTwo', token_hash: hashToken('op2-token') }
+    ],
+    jets: [{ id: 1, operator_id: 'op1', homebase: 'LIML' }]
+  }));
+  const store = await storeWith([
+    { jet_id: 1, kind: 'maintenance', start_at: '2026-06-02T00:00:00.000Z', end_at: '2026-06-03T00:00:00.000Z' }
+  ]);
+  setAvailabilityStore(store);
+  const block = { jet_id: 1, kind: 'maintenance', date: '2026-06-10' };
+
+  // Una chiave API (sito partner, chatbot) non basta per togliere un jet dai preventivi
+  const withApiKey = await callAvailability({ method: 'POST', headers: { 'x-api-key': 'jp_live_x' }, body: block });
+  assert.equal(withApiKey.statusCode, 401);
+  assert.equal((await callAvailability({ method: 'DELETE', query: { id: 1 } })).statusCode, 401);
+
+  const otherOperator = { authorization: 'Bearer op2-token' };
+  assert.equal((await callAvailability({ method: 'POST', headers: otherOperator, body: block })).body.code, 'JET_NOT_FOUND');
+  const unknownJet = await callAvailability({ method: 'POST', headers: { authorization: 'Bearer op1-token' }, body: { ...block, jet_id: 99 } });
+  assert.equal(unknownJet.statusCode, 404);
+  assert.equal((await callAvailability({ method: 'DELETE', headers: otherOperator, query: { id: 1 } })).statusCode, 404);
+  assert.notEqual((await store.get(1)).data, null);
+
+  const own = await callAvailability({ method: 'DELETE', headers: { authorization: 'Bearer op1-token' }, query: { id: 1 } });
+  assert.equal(own.statusCode, 200);
+  assert.equal((await store.get(1)).data, null);
+});
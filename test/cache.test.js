@@ -0,0 +1,152 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  cached,
+  invalidateCache,
+  getCacheStats,
+  resetCacheStats,
+  setCacheBackend,
+  createMemoryCacheBackend,
+  createKeyValueCacheBackend,
+  createLocalKeyValueClient
+} from '../lib/cache.js';
+import { setOperatorStore, createMemoryOperatorStore } from '../lib/operators.js';
+import cacheHandler from '../api/cache.js';
+
+beforeEach(() => {
+  setCacheBackend(createMemoryCacheBackend());
+  resetCacheStats();
+});
+
+// Loader che conta le chiamate e restituisce ogni volta un valore nuovo
+function counter() {
+  let calls = 0;
+  const loader = async () => ({ data: { call: ++calls }, error: null });
+  return { loader, calls: () => calls };
+}
+
+for (const [name, createBackend] of [
+  ['memoria', () => createMemoryCacheBackend()],
+  ['chiave/valore locale', () => createKeyValueCacheBackend(createLocalKeyValueClient())]
+]) {
+  test(`backend ${name}: il loader viene chiamato una volta e l'invalidazione del namespace lo richiama`, async () => {
+    setCacheBackend(createBackend());
+    const { loader, calls } = counter();
+
+    assert.deepEqual((await cached('fleet', 'all', loader)).data, { call: 1 });
+    assert.deepEqual((await cached('fleet', 'all', loader)).data, { call: 1 });
+    assert.equal(calls(), 1);
+
+    await invalidateCache('fleet');
+    assert.deepEqual((await cached('fleet', 'all', loader)).data, { call: 2 });
+    assert.equal(calls(), 2);
+  });
+}
+
+test('l\'invalidazione di una chiave lascia intatte le altre e gli altri namespace', async () => {
+  const first = counter();
+  const second = counter();
+  const other = counter();
+  await cached('airport-search', 'milano', first.loader);
+  await cached('airport-search', 'nizza', second.loader);
+  await cached('homebases', 'LIML', other.loader);
+
+  await invalidateCache('airport-search', 'milano');
+  await cached('airport-search', 'milano', first.loader);
+  await cached('airport-search', 'nizza', second.loader);
+  await cached('homebases', 'LIML', other.loader);
+
+  assert.equal(first.calls(), 2);
+  assert.equal(second.calls(), 1);
+  assert.equal(other.calls(), 1);
+});
+
+test('errori e risultati vuoti non vengono salvati', async () => {
+  let calls = 0;
+  const failing = async () => ({ data: null, error: (calls++, new Error('database non raggiungibile')) });
+  assert.ok((await cached('fleet', 'all', failing)).error);
+  assert.ok((await cached('fleet', 'all', failing)).error);
+  assert.equal(calls, 2);
+});
+
+test('le voci scadono dopo il TTL', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-06-01T00:00:00Z') });
+  const { loader, calls } = counter();
+
+  await cached('fleet', 'all', loader, { ttl: 1000 });
+  t.mock.timers.tick(999);
+  await cached('fleet', 'all', loader, { ttl: 1000 });
+  assert.equal(calls(), 1);
+
+  t.mock.timers.tick(1);
+  await cached('fleet', 'all', loader, { ttl: 1000 });
+  assert.equal(calls(), 2);
+});
+
+test('le statistiche contano hit, miss, scritture e invalidazioni per namespace', async () => {
+  const { loader } = counter();
+  await cached('fleet', 'all', loader);
+  await cached('fleet', 'all', loader);
+  await invalidateCache('fleet');
+
+  const { backend, namespaces } = getCacheStats();
+  assert.equal(backend, 'memory');
+  assert.deepEqual(
+    { ...namespaces.fleet, ttl_ms: undefined },
+    { hits: 1, misses: 1, sets: 1, invalidations: 1, errors: 0, hit_rate: 0.5, ttl_ms: undefined }
+  );
+});
+
+test('un backend che non risponde conta come miss senza far fallire la richiesta', async () => {
+  setCacheBackend({
+    name: 'broken',
+    async get() { throw new Error('timeout'); },
+    async set() { throw new Error('timeout'); },
+    async delete() { throw new Error('timeout'); }
+  });
+  const { loader, calls } = counter();
+
+  assert.deepEqual((await cached('fleet', 'all', loader)).data, { call: 1 });
+  assert.deepEqual((await cached('fleet', 'all', loader)).data, { call: 2 });
+  assert.equal(calls(), 2);
+  assert.ok(getCacheStats().namespaces.fleet.errors > 0);
+});
+
+// Risposta minima con l'interfaccia usata dagli handler
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; }
+  };
+}
+
+async function callCache(req) {
+  const res = createResponse();
+  await cacheHandler({ headers: {}, query: {}, ...req }, res);
+  return res;
+}
+
+test('/api/cache senza credenziali risponde 401 anche senza CACHE_ADMIN_TOKEN', async (t) => {
+  setOperatorStore(createMemoryOperatorStore());
+  t.after(() => { delete process.env.ADMIN_TOKEN; delete process.env.CACHE_ADMIN_TOKEN; });
+  process.env.ADMIN_TOKEN = 'admin-token';
+  delete process.env.CACHE_ADMIN_TOKEN;
+
+  assert.equal((await callCache({ method: 'GET' })).statusCode, 401);
+  assert.equal((await callCache({ method: 'DELETE', query: { namespace: 'fleet' } })).statusCode, 401);
+  assert.equal((await callCache({ method: 'DELETE', headers: { authorization: 'Bearer sbagliato' } })).statusCode, 401);
+
+  const admin = { authorization: 'Bearer admin-token' };
+  assert.equal((await callCache({ method: 'GET', headers: admin })).statusCode, 200);
+  const invalidated = await callCache({ method: 'DELETE', headers: admin, query: { namespace: 'api-keys' } });
+  assert.deepEqual(invalidated.body, { invalidated: ['api-keys'] });
+
+  // Con il token dedicato (es. il webhook della tabella `jet`)
+  process.env.CACHE_ADMIN_TOKEN = 'cache-token';
+  const webhook = await callCache({ method: 'DELETE', headers: { authorization: 'Bearer cache-token' }, query: { namespace: 'homebases' } });
+  assert.equal(webhook.statusCode, 200);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, parseTime, resolveTripDates } from '../lib/dates.js';
+
+// Mercoledì 3 giugno 2026
+const NOW = new Date('2026-06-03T10:00:00Z');
+const dateOf = (input, options = {}) => parseDate(input, { now: NOW, ...options }).date;
+
+test('date relative in italiano', () => {
+  assert.equal(dateOf('oggi'), '2026-06-03');
+  assert.equal(dateOf('Domani'), '2026-06-04');
+  assert.equal(dateOf('dopodomani'), '2026-06-05');
+  assert.equal(dateOf('tra 3 giorni'), '2026-06-06');
+  assert.equal(dateOf('fra una settimana'), '2026-06-10');
+  assert.equal(dateOf('la settimana prossima'), '2026-06-10');
+
+  const { interpretation } = parseDate('tra 3 giorni', { now: NOW });
+  assert.deepEqual(interpretation, { kind: 'relative', offset_days: 3, description: 'tra 3 giorni' });
+});
+
+test('date relative in inglese', () => {
+  assert.equal(dateOf('today'), '2026-06-03');
+  assert.equal(dateOf('tomorrow'), '2026-06-04');
+  assert.equal(dateOf('the day after tomorrow'), '2026-06-05');
+  assert.equal(dateOf('in a week'), '2026-06-10');
+  assert.equal(dateOf('in 2 weeks'), '2026-06-17');
+  assert.equal(dateOf('next week'), '2026-06-10');
+});
+
+test('le date relative partono dal giorno locale del fuso indicato', () => {
+  const lateEvening = new Date('2026-06-03T23:30:00Z');
+  assert.equal(parseDate('domani', { now: lateEvening }).date, '2026-06-04');
+  assert.equal(parseDate('domani', { now: lateEvening, timeZone: 'Europe/Rome' }).date, '2026-06-05');
+});
+
+test('giorni della settimana: il prossimo, oggi solo con "questo"', () => {
+  assert.equal(dateOf('venerdì'), '2026-06-05');
+  assert.equal(dateOf('venerdi prossimo'), '2026-06-05');
+  assert.equal(dateOf('next friday'), '2026-06-05');
+  assert.equal(dateOf('mercoledì'), '2026-06-10');
+  assert.equal(dateOf('this wednesday'), '2026-06-03');
+  assert.equal(parseDate('this wednesday', { now: NOW }).interpretation.description, 'oggi');
+});
+
+test('la descrizione del giorno della settimana è in italiano anche con input inglese', () => {
+  assert.equal(parseDate('next friday', { now: NOW }).interpretation.description, 'primo venerdì dopo oggi');
+  assert.equal(parseDate('mon', { now: NOW }).interpretation.description, 'primo lunedì dopo oggi');
+  assert.equal(parseDate('giovedi', { now: NOW }).interpretation.description, 'primo giovedì dopo oggi');
+});
+
+test('giorno e mese senza anno passano all\'anno prossimo se già passati', () => {
+  assert.equal(dateOf('15/08'), '2026-08-15');
+  assert.equal(dateOf('3 giugno'), '2026-06-03');
+  assert.equal(dateOf('march 12'), '2027-03-12');
+
+  const past = parseDate('2 giugno', { now: NOW });
+  assert.equal(past.date, '2027-06-02');
+  assert.equal(past.interpretation.assumed_year, 2027);
+  assert.match(past.interpretation.description, /anno prossimo/);
+
+  // Il 29 febbraio non c'è né quest'anno né il prossimo
+  assert.equal(parseDate('29/02', { now: NOW }).error.code, 'INVALID_DATE');
+});
+
+test('date con anno esplicito e formati numerici', () => {
+  assert.equal(dateOf('2026-06-01'), '2026-06-01');
+  assert.equal(dateOf('15/08/26'), '2026-08-15');
+  assert.equal(dateOf('12th march 2027'), '2027-03-12');
+  assert.equal(dateOf('08/25'), '2026-08-25');
+  assert.equal(parseDate('05/08', { now: NOW }).interpretation.ambiguous, true);
+  assert.equal(parseDate('31/04/2026', { now: NOW }).error.code, 'INVALID_DATE');
+  assert.equal(parseDate('prima possibile', { now: NOW }).error.code, 'INVALID_DATE');
+});
+
+test('orari liberi, anche con prefissi combinati', () => {
+  assert.equal(parseTime('alle ore 15').time, '15:00');
+  assert.equal(parseTime('alle 9:30').time, '09:30');
+  assert.equal(parseTime('ore 9.30').time, '09:30');
+  assert.equal(parseTime('at 2pm').time, '14:00');
+  assert.equal(parseTime('12am').time, '00:00');
+  assert.equal(parseTime(9).time, '09:00');
+  assert.equal(parseTime('25:00').error.code, 'INVALID_TIME');
+  assert.equal(parseTime('13pm').error.code, 'INVALID_TIME');
+  assert.equal(parseTime('alle ore').error.code, 'INVALID_TIME');
+});
+
+test('andata e ritorno: niente date passate né ritorno prima dell\'andata', () => {
+  const trip = resolveTripDates({ date: 'domani', returnDate: 'venerdì' }, { now: NOW });
+  assert.equal(trip.date, '2026-06-04');
+  assert.equal(trip.returnDate, '2026-06-05');
+
+  assert.equal(resolveTripDates({ date: '2026-06-01' }, { now: NOW }).error.code, 'DATE_IN_PAST');
+  const backwards = resolveTripDates({ date: 'venerdì', returnDate: 'domani' }, { now: NOW });
+  assert.equal(backwards.error.code, 'RETURN_BEFORE_DEPARTURE');
+  assert.equal(backwards.error.field, 'returnDate');
+});
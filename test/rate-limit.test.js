@@ -0,0 +1,156 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  consumeApiKey,
+  consumeQuota,
+  getApiKeyUsage,
+  setCounterStore,
+  createMemoryCounterStore,
+  createKeyValueCounterStore
+} from '../lib/rate-limit.js';
+
+const NOW = new Date('2026-06-01T10:00:30Z');
+
+beforeEach(() => {
+  setCounterStore(createMemoryCounterStore());
+});
+
+test('oltre il limite al minuto la richiesta è respinta fino al minuto successivo', async () => {
+  const apiKey = { id: 'k1', rate_limit_per_minute: 2 };
+
+  const first = await consumeApiKey(apiKey, 'calculate', { cost: 1, now: NOW });
+  assert.equal(first.allowed, true);
+  assert.equal(first.remaining, 1);
+  assert.equal(first.reset_at, Date.parse('2026-06-01T10:01:00Z'));
+  assert.equal((await consumeApiKey(apiKey, 'calculate', { cost: 1, now: NOW })).remaining, 0);
+
+  const rejected = await consumeApiKey(apiKey, 'calculate', { cost: 1, now: NOW });
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.code, 'RATE_LIMITED');
+  assert.equal(rejected.retry_after_s, 30);
+
+  const nextMinute = await consumeApiKey(apiKey, 'calculate', { cost: 1, now: new Date('2026-06-01T10:01:00Z') });
+  assert.equal(nextMinute.allowed, true);
+});
+
+test('i limiti sono per chiave', async () => {
+  const first = { id: 'k1', rate_limit_per_minute: 1 };
+  const second = { id: 'k2', rate_limit_per_minute: 1 };
+  await consumeApiKey(first, 'calculate', { now: NOW });
+  assert.equal((await consumeApiKey(first, 'calculate', { now: NOW })).allowed, false);
+  assert.equal((await consumeApiKey(second, 'calculate', { now: NOW })).allowed, true);
+});
+
+test('la quota giornaliera conta i preventivi e non si consuma con le richieste respinte', async () => {
+  const apiKey = { id: 'k1', rate_limit_per_minute: 100, daily_quota: 10 };
+
+  assert.equal((await consumeApiKey(apiKey, 'batch', { cost: 7, now: NOW })).allowed, true);
+  // 7 + 5 supera la quota: respinta senza intaccarla
+  const rejected = await consumeApiKey(apiKey, 'batch', { cost: 5, now: NOW });
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.code, 'QUOTA_EXCEEDED');
+  assert.equal(rejected.period, 'day');
+  assert.equal(rejected.used, 7);
+  assert.equal(rejected.retry_after_s, 14 * 60 * 60 - 30);
+
+  assert.equal((await consumeApiKey(apiKey, 'calculate', { cost: 3, now: NOW })).allowed, true);
+  assert.equal((await consumeApiKey(apiKey, 'calculate', { cost: 1, now: NOW })).allowed, false);
+  // Gli endpoint senza preventivi restano utilizzabili a quota esaurita
+  assert.equal((await consumeApiKey(apiKey, 'ping', { now: NOW })).allowed, true);
+
+  // Il giorno dopo la quota riparte
+  assert.equal((await consumeApiKey(apiKey, 'calculate', { cost: 1, now: new Date('2026-06-02T00:00:00Z') })).allowed, true);
+});
+
+test('la quota mensile vale su più giorni', async () => {
+  const apiKey = { id: 'k1', monthly_quota: 3 };
+  await consumeApiKey(apiKey, 'calculate', { cost: 2, now: new Date('2026-06-01T10:00:00Z') });
+  await consumeApiKey(apiKey, 'calculate', { cost: 1, now: new Date('2026-06-15T10:00:00Z') });
+
+  const rejected = await consumeApiKey(apiKey, 'calculate', { cost: 1, now: new Date('2026-06-30T10:00:00Z') });
+  assert.equal(rejected.code, 'QUOTA_EXCEEDED');
+  assert.equal(rejected.period, 'month');
+  assert.equal((await consumeApiKey(apiKey, 'calculate', { cost: 1, now: new Date('2026-07-01T00:00:00Z') })).allowed, true);
+});
+
+test('i preventivi addebitati dopo la validazione consumano solo la quota', async () => {
+  const apiKey = { id: 'k1', rate_limit_per_minute: 100, daily_quota: 3 };
+
+  assert.equal((await consumeApiKey(apiKey, 'calculate', { now: NOW })).allowed, true);
+  assert.equal((await consumeQuota(apiKey, 'calculate', { cost: 2, now: NOW })).allowed, true);
+  const rejected = await consumeQuota(apiKey, 'calculate', { cost: 2, now: NOW });
+  assert.equal(rejected.code, 'QUOTA_EXCEEDED');
+  assert.equal(rejected.used, 2);
+  assert.equal((await consumeQuota(apiKey, 'calculate', { cost: 1, now: NOW })).allowed, true);
+});
+
+test('l\'utilizzo riporta richieste, preventivi e respinte per giorno ed endpoint', async () => {
+  const apiKey = { id: 'k1', rate_limit_per_minute: 2, daily_quota: 100 };
+  const today = new Date();
+  const date = today.toISOString().slice(0, 10);
+
+  await consumeApiKey(apiKey, 'calculate', { cost: 1, now: today });
+  await consumeApiKey(apiKey, 'batch', { cost: 5, now: today });
+  await consumeApiKey(apiKey, 'ping', { now: today });
+
+  const usage = await getApiKeyUsage(apiKey, { from: date, to: date });
+  assert.deepEqual(usage.totals, { requests: 2, quotes: 6, rejected: 1 });
+  assert.deepEqual(usage.days[0].endpoints, {
+    calculate: { requests: 1, quotes: 1, rejected: 0 },
+    batch: { requests: 1, quotes: 5, rejected: 0 },
+    ping: { requests: 0, quotes: 0, rejected: 1 }
+  });
+  assert.deepEqual(usage.quotas.day, { quota: 100, used: 6 });
+});
+
+test('lo stesso conteggio funziona con un archivio chiave/valore', async () => {
+  const values = new Map();
+  const client = {
+    async incrby(key, amount) { values.set(key, (values.get(key) || 0) + amount); return values.get(key); },
+    async pexpire() { return 1; },
+    async get(key) { return values.get(key) ?? null; }
+  };
+  setCounterStore(createKeyValueCounterStore(client));
+  const apiKey = { id: 'k1', rate_limit_per_minute: 1, daily_quota: 2 };
+
+  assert.equal((await consumeApiKey(apiKey, 'calculate', { cost: 2, now: NOW })).allowed, true);
+  assert.equal((await consumeApiKey(apiKey, 'calculate', { cost: 1, now: NOW })).code, 'QUOTA_EXCEEDED');
+});
+
+test('un archivio non raggiungibile non blocca le richieste', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  setCounterStore({
+    async increment() { throw new Error('timeout'); },
+    async get() { throw new Error('timeout'); }
+  });
+  const result = await consumeApiKey({ id: 'k1', daily_quota: 1 }, 'calculate', { cost: 1, now: NOW });
+  assert.equal(result.allowed, true);
+  assert.equal(result.remaining, null);
+});
+
+test('le richieste concorrenti non superano limite e quote', async () => {
+  const values = new Map();
+  // Client con latenza: tra una lettura e un incremento passano altre richieste
+  const client = {
+    async incrby(key, amount) {
+      await new Promise(resolve => setImmediate(resolve));
+      values.set(key, (values.get(key) || 0) + amount);
+      return values.get(key);
+    },
+    async pexpire() { return 1; },
+    async get(key) {
+      await new Promise(resolve => setImmediate(resolve));
+      return values.get(key) ?? null;
+    }
+  };
+  setCounterStore(createKeyValueCounterStore(client));
+
+  const limited = { id: 'k1', rate_limit_per_minute: 3 };
+  const rate = await Promise.all(Array.from({ length: 10 }, () => consumeApiKey(limited, 'ping', { now: NOW })));
+  assert.equal(rate.filter(r => r.allowed).length, 3);
+
+  const quota = { id: 'k2', rate_limit_per_minute: 100, daily_quota: 5 };
+  const quotes = await Promise.all(Array.from({ length: 10 }, () => consumeApiKey(quota, 'calculate', { cost: 1, now: NOW })));
+  assert.equal(quotes.filter(r => r.allowed).length, 5);
+  assert.equal((await getApiKeyUsage(quota, { from: '2026-06-01', to: '2026-06-01' })).days[0].endpoints.calculate.quotes, 5);
+});
@@ -0,0 +1,5 @@
+// Caricato prima dei test (node --import): il client Supabase si crea anche senza database,
+// i test lavorano sugli store in memoria
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_KEY ||= 'test';
+process.env.LOG_LEVEL ||= 'error';